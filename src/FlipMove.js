@@ -7,24 +7,83 @@
 
 /* eslint-disable react/prop-types */
 
-import React, { Component } from 'react';
+import React, { Component, PropTypes } from 'react';
 
 import './polyfills';
 import propConverter from './prop-converter';
+import FlipMoveGroup, { SharedElementRegistry } from './FlipMoveGroup';
+import FlipMoveItem from './FlipMoveItem';
+import FlipMovePresets from './FlipMovePresets';
+import { registerPreset, unregisterPreset } from './preset-registry';
+import { finishedPromiseInterrupted } from './error-messages';
+import { enterPresets, leavePresets } from './enter-leave-presets';
+import { diffChildren, formatAnnouncement } from './announcements';
 import {
+  animateDOMNode,
+  announceInLiveRegion,
   applyStylesToDOMNode,
+  composeStyles,
+  createLiveRegion,
   createTransitionString,
+  focusNode,
+  getComputedStyleValues,
+  getContainerScale,
+  getCSSPropertyName,
   getNativeNode,
+  getOwnStyles,
   getPositionDelta,
+  getReducedMotionQuery,
   getRelativeBoundingBox,
+  getScrollOffsets,
+  getScaleDelta,
+  getTransitionTiming,
+  hasLostFocus,
+  isRightToLeft,
+  isTransitionOf,
+  linearEasingSupported,
+  removeLiveRegion,
   removeNodeFromDOMFlow,
+  unscaleBox,
   updateHeightPlaceholder,
+  webAnimationsSupported,
   whichTransitionEvent,
 } from './dom-manipulation';
-import { arraysEqual } from './helpers';
+import {
+  arraysEqual,
+  getContinuedMoveDuration,
+  getDistance,
+  getRemainingTiming,
+  omit,
+} from './helpers';
+import {
+  carryOverVelocity,
+  createSpringEasing,
+  defaultRestDelta,
+  getSpringDuration,
+  settleSpring,
+  simulateRestingSpring,
+  simulateSpring,
+} from './spring';
+import { getStaggerIndexes } from './stagger';
 
 const transitionEnd = whichTransitionEvent();
 const noBrowserSupport = !transitionEnd;
+const noWebAnimationsSupport = !webAnimationsSupported();
+const noLinearEasingSupport = !linearEasingSupported();
+
+// How the `onInterrupt` hook describes what a child was, and is now, doing.
+const phaseStatuses = {
+  enter: 'entering',
+  leave: 'leaving',
+  move: 'moving',
+};
+
+// The phase-specific hooks, eg. `onEnterStart` or `onMoveFinish`.
+const phaseHookPrefixes = {
+  enter: 'onEnter',
+  leave: 'onLeave',
+  move: 'onMove',
+};
 
 import {ChildStatusTracker} from './child-status-tracker';
 
@@ -83,7 +142,9 @@ class FlipMove extends Component {
       return { ...nextChild };
     });
 
-    this.state = { children: updatedChildren };
+    this.state = {
+      children: updatedChildren,
+    };
 
     // Keep track of remaining animations so we know when to fire the
     // all-finished callback, and clean up after ourselves.
@@ -96,6 +157,10 @@ class FlipMove extends Component {
     // computed before the next render(). This is used to refresh entering/leaving transitions.
     this.styleBeforeRender = {};
 
+    // Children that are currently animating hold an `inFlight` entry in their
+    // childrenData, eg. { startedAt, delay, duration, speed, spring }. This is used to
+    // continue animations that are interrupted, rather than restarting them.
+
     // This object holds all the transitionend handlers.
     this.transitionEndHandlerMap = {};
 
@@ -108,8 +173,53 @@ class FlipMove extends Component {
     // and duration including an additional 100ms.
     this.cleanupFallback = null;
 
+    // Promises handed out by `finished()`, waiting on the current batch of
+    // animations. Each holds its { resolve, reject } functions.
+    this.pendingFinished = [];
+
+    // With the `announce` prop, the aria-live region that tells screen
+    // readers how the list changed, and the message for the current update.
+    this.liveRegion = null;
+    this.pendingAnnouncement = null;
+
+    // How far the container had scrolled when our children were last
+    // measured, eg. { offsets: [0, 120] }, unless the `compensateScroll` prop
+    // is turned off. See `getScrollDelta`.
+    this.scrollData = null;
+
+    // How much bigger (or smaller) the container looks on screen than its
+    // CSS size, as [scaleX, scaleY]. See the `containerScale` prop.
+    this.containerScale = [1, 1];
+
+    // When one of our children has focus as an update comes in, we note its
+    // key, the focused element and the keys around it, eg.
+    // { key, element, siblingKeys }. Once the update is rendered, focus is
+    // given back (or passed to a sibling, if the child is leaving).
+    this.focusData = null;
+
+    // Whether the user has asked their OS to reduce motion (see the
+    // `reducedMotion` prop). This can change while we're mounted.
+    this.reducedMotionQuery = getReducedMotionQuery();
+    this.prefersReducedMotion = !!this.reducedMotionQuery && this.reducedMotionQuery.matches;
+
     this.doesChildNeedToBeAnimated = this.doesChildNeedToBeAnimated.bind(this);
     this.runAnimation = this.runAnimation.bind(this);
+    this.handleReducedMotionChange = this.handleReducedMotionChange.bind(this);
+    this.getPosition = this.getPosition.bind(this);
+  }
+
+  componentDidMount() {
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.addListener(this.handleReducedMotionChange);
+    }
+
+    this.updateLiveRegion();
+
+    // Children present on the initial render don't animate, unless an
+    // `appearAnimation` is provided.
+    if (this.props.appearAnimation && !this.isAnimationDisabled(this.props)) {
+      this.runAppearAnimation();
+    }
   }
 
   componentWillUpdate(nextProps, nextState){
@@ -147,6 +257,11 @@ class FlipMove extends Component {
     // so it can be used later to work out the animation.
     this.updateBoundingBoxCaches();
 
+    this.captureFocus();
+
+    // The changes are worked out before the children's statuses are updated.
+    this.pendingAnnouncement = this.getAnnouncement(nextProps);
+
     // Next, we need to update our state, so that it contains our new set of
     // children. If animation is disabled or unsupported, this is easy;
     // we just copy our props into state.
@@ -176,24 +291,105 @@ class FlipMove extends Component {
 
         if (key) {
           const { domNode } = this.childrenData[child.key];
+
+          // Animations that were still running won't get to finish.
+          if (this.transitionEndHandlerMap[key]) {
+            this.triggerCancelHook(child);
+          }
+
           this.removeTransitionEndHandler(child.key);
+
+          if (this.childrenData[key]) {
+            delete this.childrenData[key].inFlight;
+          }
         }
 
       })
 
+      // Nor will anyone waiting on them.
+      this.settleFinished('a newer update, with animations disabled');
+
     } else {
       newChildren = this.calculateNextSetOfChildren(nextProps.children);
+
+      this.registerSharedChildren(newChildren);
     }
 
-    this.setState({ children: newChildren });
+    this.setState({
+      children: newChildren,
+    });
+  }
+
+  // Screen readers can't see children move, enter or leave, so we can tell
+  // them what changed instead.
+  getAnnouncement(nextProps) {
+    const { announce } = nextProps;
+
+    if (!announce) {
+      return null;
+    }
+
+    // As far as our users are concerned, leaving children are already gone.
+    const previousChildren = this.state.children.filter(child => (
+      child.key &&
+      !this.tracker.isLeavingStatus(this.tracker.getStatus(child)) &&
+      !this.tracker.hasLeft(child)
+    ));
+    const nextChildren = nextProps.children.filter(child => child.key);
+
+    const changes = diffChildren(previousChildren, nextChildren);
+    const { added, removed, moved } = changes;
+
+    if (added.length + removed.length + moved.length === 0) {
+      return null;
+    }
+
+    const format = typeof announce === 'function' ? announce : formatAnnouncement;
+
+    return format(changes) || null;
+  }
+
+  // The live region needs to be on the page before its first message, for
+  // screen readers to pick it up.
+  updateLiveRegion() {
+    if (this.props.announce && !this.liveRegion) {
+      this.liveRegion = createLiveRegion();
+    } else if (!this.props.announce && this.liveRegion) {
+      removeLiveRegion(this.liveRegion);
+      this.liveRegion = null;
+    }
   }
 
   updateParentBoundingBox(){
-    this.parentData.boundingBox = this.props.getPosition(
+    this.updateContainerScale();
+
+    this.parentData.boundingBox = this.getPosition(
       this.parentData.domNode
     );
   }
 
+  updateContainerScale() {
+    const { containerScale, getPosition } = this.props;
+    const { domNode } = this.parentData;
+
+    const scale = typeof containerScale === 'function'
+      ? containerScale(domNode)
+      : containerScale;
+
+    if (typeof scale === 'undefined') {
+      this.containerScale = domNode ? getContainerScale(domNode, getPosition) : [1, 1];
+    } else {
+      this.containerScale = typeof scale === 'number' ? [scale, scale] : scale;
+    }
+  }
+
+  // Everything we measure is in the container's CSS pixels, which are the
+  // ones we move children by. They're only the same as on-screen pixels when
+  // the container isn't scaled.
+  getPosition(domNode) {
+    return unscaleBox(this.props.getPosition(domNode), this.containerScale);
+  }
+
 
   componentDidUpdate(previousProps) {
     // If the children have been re-arranged, moved, or added/removed,
@@ -206,45 +402,432 @@ class FlipMove extends Component {
     const oldChildrenKeys = this.props.children.map(d => d.key);
     const nextChildrenKeys = previousProps.children.map(d => d.key);
 
+    // Layout can also change without any keys changing (eg. a different
+    // number of columns). The `layoutKey` prop lets the user tell us so.
+    const layoutHasChanged = this.props.layoutKey !== previousProps.layoutKey;
+
     const shouldTriggerFLIP = (
-      !arraysEqual(oldChildrenKeys, nextChildrenKeys) && !this.isAnimationDisabled(this.props)
+      (!arraysEqual(oldChildrenKeys, nextChildrenKeys) || layoutHasChanged) &&
+      !this.isAnimationDisabled(this.props)
     );
 
     if (shouldTriggerFLIP) {
-      this.prepForAnimation();
+      this.triggerFLIP(Math.max(oldChildrenKeys.length, nextChildrenKeys.length));
+    }
+
+    this.restoreFocus();
+
+    this.updateLiveRegion();
+
+    if (this.pendingAnnouncement) {
+      announceInLiveRegion(this.liveRegion, this.pendingAnnouncement);
+      this.pendingAnnouncement = null;
+    }
+  }
 
-      // We are updating the parent bounding box as this might have moved because of other components, for example
-      // other FlipMoves. This basically fixes problems with stacking FlipMoves.
-      this.updateParentBoundingBox();
+  captureFocus() {
+    this.focusData = null;
 
-      this.runAnimation();
+    if (hasLostFocus()) {
+      return;
+    }
 
-      // As a fallback to cover potential bugs with transitionend events still not triggering (despite our
-      // efforts) we are going to force a cleanup after X ms.
-      if (this.cleanupFallback) {
+    const element = document.activeElement;
+    const key = Object.keys(this.childrenData).find((childKey) => {
+      const { domNode } = this.childrenData[childKey];
 
-        // Refresh any previous timeouts...
-        clearTimeout(this.cleanupFallback);
+      return !!domNode && domNode.contains(element);
+    });
 
+    if (key) {
+      this.focusData = {
+        key,
+        element,
+        siblingKeys: this.state.children.map(child => child.key),
+      };
+    }
+  }
+
+  restoreFocus() {
+    const { focusData } = this;
+    this.focusData = null;
+
+    if (!focusData) {
+      return;
+    }
+
+    const { key, element } = focusData;
+    const isStillHere = this.props.children.some(child => child.key === key);
+
+    // Moving a node around the document can drop its focus. If the focus
+    // hasn't gone somewhere else in the meantime, we give it back.
+    if (isStillHere) {
+      if (hasLostFocus() && document.body.contains(element)) {
+        element.focus({ preventScroll: true });
       }
 
-      const { duration, delay, staggerDurationBy, staggerDelayBy } = this.props;
-      const expectedToBeFinished = duration + delay +
-        Math.max(oldChildrenKeys.length, nextChildrenKeys.length) * (staggerDurationBy + staggerDelayBy) +
-        100;
-
-      this.cleanupFallback = setTimeout(() => {
-        const remainingTransitions = Object.values(this.transitionEndHandlerMap);
-        if (remainingTransitions.length > 0) {
-          // You did some really weird stuff for this to trigger...
-          // We are going to do a manual cleanup for now until we can cover all the super edge cases...
-          Object.values(this.transitionEndHandlerMap).forEach(({ callback }) => {
-            callback();
-          })
-        }
-      }, expectedToBeFinished)
+      return;
     }
 
+    // The child is leaving. Whether it's animating away or already gone,
+    // focus shouldn't stay with it.
+    const childData = this.childrenData[key];
+    const isStillFocused = (
+      !!childData &&
+      !!childData.domNode &&
+      childData.domNode.contains(document.activeElement)
+    );
+
+    if (this.props.focusOnLeave === 'none' || !(isStillFocused || hasLostFocus())) {
+      return;
+    }
+
+    const siblingKey = this.getFocusSiblingOnLeave(focusData);
+
+    if (siblingKey) {
+      focusNode(this.childrenData[siblingKey].domNode);
+    } else if (this.parentData.domNode) {
+      // The container itself takes focus, not the first thing inside it
+      // (which might be the child that's leaving).
+      focusNode(this.parentData.domNode, false);
+    }
+  }
+
+  // Focus moves to the closest sibling in the `focusOnLeave` direction, or
+  // the other way if there isn't one. Failing that, it goes to our container.
+  getFocusSiblingOnLeave({ key, siblingKeys }) {
+    const { focusOnLeave } = this.props;
+    const index = siblingKeys.indexOf(key);
+
+    const isRemaining = siblingKey => (
+      this.props.children.some(child => child.key === siblingKey) &&
+      !!this.childrenData[siblingKey] &&
+      !!this.childrenData[siblingKey].domNode
+    );
+
+    const after = siblingKeys.slice(index + 1).filter(isRemaining);
+    const before = siblingKeys.slice(0, index).filter(isRemaining).reverse();
+
+    const candidates = focusOnLeave === 'previous'
+      ? [...before, ...after]
+      : [...after, ...before];
+
+    if (focusOnLeave === 'container' || candidates.length === 0) {
+      return null;
+    }
+
+    return candidates[0];
+  }
+
+  componentWillUnmount() {
+    if (this.reducedMotionQuery) {
+      this.reducedMotionQuery.removeListener(this.handleReducedMotionChange);
+    }
+
+    // There's nothing left to wait for, and rejecting would leave callers
+    // that don't expect FlipMove to unmount with an unhandled rejection.
+    this.settleFinished();
+
+    removeLiveRegion(this.liveRegion);
+    this.liveRegion = null;
+  }
+
+  handleReducedMotionChange(query) {
+    this.prefersReducedMotion = query.matches;
+  }
+
+  // With a `reducedMotion` of 'fade-only', children fade rather than travel.
+  usesFadeOnly() {
+    return this.prefersReducedMotion && this.props.reducedMotion === 'fade-only';
+  }
+
+  // Records where all children currently are. Along with `flip`, this allows
+  // changes in layout that happen outside of FlipMove to be animated, eg:
+  //   flipMove.snapshot();
+  //   this.setState({ expanded: true }, () => flipMove.flip());
+  snapshot() {
+    this.updateBoundingBoxCaches();
+  }
+
+  // Animates all children from where they were at the last snapshot (or the
+  // last update) to where they are now.
+  flip() {
+    if (this.isAnimationDisabled(this.props)) {
+      return;
+    }
+
+    this.triggerFLIP(this.state.children.length);
+  }
+
+  // Returns a promise for the current batch of animations. It resolves once
+  // they've all finished and any leaving children have been removed, eg.
+  //   this.setState({ items }, () => {
+  //     flipMove.finished().then(() => node.scrollIntoView());
+  //   });
+  // If a newer update interrupts the batch, it rejects instead.
+  finished() {
+    if (Object.keys(this.transitionEndHandlerMap).length === 0) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pendingFinished.push({ resolve, reject });
+    });
+  }
+
+  settleFinished(interruptedBy = null) {
+    const pendingFinished = this.pendingFinished;
+    this.pendingFinished = [];
+
+    pendingFinished.forEach(({ resolve, reject }) => {
+      if (interruptedBy) {
+        reject(new Error(finishedPromiseInterrupted({ interruptedBy })));
+      } else {
+        resolve();
+      }
+    });
+  }
+
+  runAppearAnimation() {
+    // Appearing works just like entering, except with its own animation.
+    // The children are already rendered, but no frame has been painted yet,
+    // so we can still apply their starting styles without a flicker.
+    this.state.children.forEach((child) => {
+      if (!child.key) {
+        return;
+      }
+
+      const childData = this.childrenData[child.key];
+
+      if (!childData || !childData.domNode || this.getChildProps(child).disabled) {
+        return;
+      }
+
+      childData.isAppearing = true;
+      this.tracker.markAsQueuedToEnter(child);
+    });
+
+    this.triggerFLIP(this.state.children.length);
+  }
+
+  registerSharedChildren(children) {
+    const registry = this.context.flipMoveGroup;
+    const { sharedKey } = this.props;
+
+    if (!registry || typeof sharedKey === 'undefined') {
+      return;
+    }
+
+    // Leaving children are offered up to the other FlipMoves in our group, in
+    // case they're entering one of them. We share their position relative to
+    // the page, since the containers are in different places (and the page
+    // might scroll before they're claimed).
+    const [windowX, windowY] = getScrollOffsets(null);
+
+    children.forEach((child) => {
+      const childData = this.childrenData[child.key];
+
+      if (!this.tracker.shouldStartLeaving(child) || !childData || !childData.boundingBox) {
+        return;
+      }
+
+      const parentBox = this.parentData.boundingBox;
+      const [scaleX, scaleY] = this.containerScale;
+      const { top, left, width, height } = childData.boundingBox;
+      const registryKey = `${sharedKey}:${child.key}`;
+
+      const entry = {
+        box: {
+          top: ((top + parentBox.top) * scaleY) + windowY,
+          left: ((left + parentBox.left) * scaleX) + windowX,
+          width: width * scaleX,
+          height: height * scaleY,
+        },
+        release: () => this.releaseSharedChild(child.key),
+      };
+
+      registry.register(registryKey, entry);
+
+      // If nobody has claimed the child by the next frame, it's simply leaving.
+      requestAnimationFrame(() => registry.unregister(registryKey, entry));
+    });
+  }
+
+  releaseSharedChild(childKey) {
+    const childData = this.childrenData[childKey];
+
+    // The child lives on in another FlipMove, so it disappears from this one
+    // straight away. Its leave animation still runs (invisibly), so that its
+    // siblings move into its place as usual.
+    if (childData && childData.domNode) {
+      applyStylesToDOMNode({
+        domNode: childData.domNode,
+        styles: { visibility: 'hidden' },
+      });
+    }
+  }
+
+  claimSharedChildren() {
+    const registry = this.context.flipMoveGroup;
+    const { sharedKey } = this.props;
+
+    if (!registry || typeof sharedKey === 'undefined') {
+      return;
+    }
+
+    const parentBox = this.parentData.boundingBox;
+    const [windowX, windowY] = getScrollOffsets(null);
+    const [scrollX, scrollY] = this.getScrollDelta();
+    const [scaleX, scaleY] = this.containerScale;
+
+    this.state.children.forEach((child) => {
+      // Any new child might have come from elsewhere, whether or not it has
+      // an enter animation.
+      const isNew = (
+        this.tracker.isQueuedForEntering(child) ||
+        this.tracker.shouldEnterWithoutAnimation(child)
+      );
+
+      if (!child.key || !isNew) {
+        return;
+      }
+
+      const childData = this.childrenData[child.key];
+
+      if (!childData || !childData.domNode) {
+        return;
+      }
+
+      const entry = registry.claim(`${sharedKey}:${child.key}`);
+
+      if (!entry) {
+        return;
+      }
+
+      // Rather than entering, the child moves from its old position, as if it
+      // had been in this FlipMove all along (and measured with the others).
+      const { top, left, width, height } = entry.box;
+
+      childData.boundingBox = {
+        top: (((top - windowY) / scaleY) - parentBox.top) + scrollY,
+        left: (((left - windowX) / scaleX) - parentBox.left) + scrollX,
+        width: width / scaleX,
+        height: height / scaleY,
+      };
+
+      this.tracker.markAsIdle(child);
+    });
+  }
+
+  // Children can override some of our props for themselves, via a `flipMove`
+  // prop, eg. <li key="a" flipMove={{ duration: 1000 }} />
+  getChildProps(child) {
+    const overrides = child.props && child.props.flipMove;
+
+    return overrides ? { ...this.props, ...overrides } : this.props;
+  }
+
+  usesPhaseTiming() {
+    const { moveTiming, enterTiming, leaveTiming } = this.props;
+
+    return !!(moveTiming || enterTiming || leaveTiming);
+  }
+
+  // Moves, enters and leaves can each have their own timing, which children
+  // can override in turn.
+  getTimingProps(child) {
+    const phaseTiming = this.props[`${this.getPhase(child)}Timing`];
+    const overrides = child.props && child.props.flipMove;
+
+    return { ...this.props, ...phaseTiming, ...overrides };
+  }
+
+  // Children that were present on the initial render use the appear
+  // animation, rather than the enter animation.
+  getEnterAnimation(child) {
+    const childData = this.childrenData[child.key];
+    const animation = this.getAnimationForDirection(
+      childData && childData.isAppearing
+        ? this.props.appearAnimation
+        : this.getChildProps(child).enterAnimation
+    );
+
+    return animation && this.usesFadeOnly() ? enterPresets.fade : animation;
+  }
+
+  getLeaveAnimation(child) {
+    const animation = this.getAnimationForDirection(
+      this.getChildProps(child).leaveAnimation
+    );
+
+    return animation && this.usesFadeOnly() ? leavePresets.fade : animation;
+  }
+
+  // Some animations depend on the direction of the text (eg. the 'slideStart'
+  // preset), so they come in an `ltr` and an `rtl` version.
+  getAnimationForDirection(animation) {
+    if (!animation || !animation.ltr) {
+      return animation;
+    }
+
+    return isRightToLeft(this.parentData.domNode) ? animation.rtl : animation.ltr;
+  }
+
+  triggerFLIP(numOfChildren) {
+    // Anyone waiting on the previous batch won't see it finish.
+    if (Object.keys(this.transitionEndHandlerMap).length > 0) {
+      this.settleFinished('a newer update');
+    }
+
+    this.captureOwnStyles();
+
+    this.prepForAnimation();
+
+    // We are updating the parent bounding box as this might have moved because of other components, for example
+    // other FlipMoves. This basically fixes problems with stacking FlipMoves.
+    this.updateParentBoundingBox();
+
+    // Children that just left another FlipMove in our group start from where they were over there.
+    this.claimSharedChildren();
+
+    this.runAnimation();
+
+    // As a fallback to cover potential bugs with transitionend events still not triggering (despite our
+    // efforts) we are going to force a cleanup after X ms.
+    if (this.cleanupFallback) {
+
+      // Refresh any previous timeouts...
+      clearTimeout(this.cleanupFallback);
+
+    }
+
+    const { duration, delay, staggerDurationBy, staggerDelayBy, staggerMax } = this.props;
+    const expectedToBeFinished = Math.max(
+      duration + delay +
+        Math.min(numOfChildren * staggerDurationBy, staggerMax) +
+        Math.min(numOfChildren * staggerDelayBy, staggerMax),
+      this.getLongestRemainingAnimationTime()
+    ) + 100;
+
+    this.cleanupFallback = setTimeout(() => {
+      const remainingTransitions = Object.values(this.transitionEndHandlerMap);
+      if (remainingTransitions.length > 0) {
+        // You did some really weird stuff for this to trigger...
+        // We are going to do a manual cleanup for now until we can cover all the super edge cases...
+        // The browser never told us these transitions ended, which usually
+        // means it cancelled them.
+        Object.keys(this.transitionEndHandlerMap).forEach((key) => {
+          const { callback } = this.transitionEndHandlerMap[key];
+          const child = this.findChildByKey(key);
+
+          if (child) {
+            this.triggerCancelHook(child);
+          }
+
+          callback();
+        })
+      }
+    }, expectedToBeFinished)
   }
 
   calculateNextSetOfChildren(nextChildren) {
@@ -280,7 +863,7 @@ class FlipMove extends Component {
 
       // If the child is new or already left in the previous state...
       if (!child || this.tracker.hasLeft(childKey)) {
-        if (this.props.enterAnimation) {
+        if (this.getChildProps(nextChild).enterAnimation) {
           this.tracker.markAsQueuedToEnter(childKey);
         } else {
           this.tracker.markAsEnterWithoutAnimation(childKey);
@@ -289,7 +872,7 @@ class FlipMove extends Component {
 
       // If the child was leaving but not toggled...
       else if (this.tracker.isLeaving(childKey)) {
-        if (this.props.enterAnimation) {
+        if (this.getChildProps(nextChild).enterAnimation) {
           this.tracker.markAsToggledToEntering(childKey);
         } else {
           this.tracker.markAsToggledToEnteringWithoutAnimation(childKey);
@@ -408,6 +991,57 @@ class FlipMove extends Component {
   }
 
 
+  // With `preserveChildStyles`, our transforms and transitions are combined
+  // with the child's own. We need to know what those are before we apply
+  // anything, so they're captured while the child is at rest. Children in
+  // the middle of an animation keep the ones captured when it started.
+  captureOwnStyles() {
+    if (!this.props.preserveChildStyles) {
+      return;
+    }
+
+    this.state.children.forEach((child) => {
+      const childData = child.key && this.childrenData[child.key];
+
+      if (!childData || !childData.domNode || this.transitionEndHandlerMap[child.key]) {
+        return;
+      }
+
+      childData.ownStyles = getOwnStyles(childData.domNode);
+    });
+  }
+
+  withOwnStyles(child, styles) {
+    const childData = this.childrenData[child.key];
+
+    if (!styles || !childData || !childData.ownStyles) {
+      return styles;
+    }
+
+    return composeStyles(styles, childData.ownStyles);
+  }
+
+  // prepForAnimation suppresses the children's own transitions, so that
+  // they don't animate the offsets we apply. Children that animate get them
+  // back once they're done; the others, as soon as we know they won't.
+  restoreOwnTransitions() {
+    this.state.children.forEach((child) => {
+      const childData = child.key && this.childrenData[child.key];
+
+      if (
+        !childData ||
+        !childData.ownStyles ||
+        !childData.domNode ||
+        this.transitionEndHandlerMap[child.key]
+      ) {
+        return;
+      }
+
+      childData.domNode.style.transition = childData.ownStyles.inline.transition;
+      delete childData.ownStyles;
+    });
+  }
+
   prepForAnimation() {
     // Our animation prep consists of:
     // - remove children that are leaving from the DOM flow, so that the new
@@ -418,34 +1052,58 @@ class FlipMove extends Component {
     const {
       leaveAnimation,
       maintainContainerHeight,
-      getPosition,
     } = this.props;
 
-    // we need to make all leaving nodes "invisible" to the layout calculations
-    // that will take place in the next step (this.runAnimation).
-    if (leaveAnimation) {
-
-      const leavingChildren = this.state.children.filter(child => (
-        this.tracker.shouldStartLeaving(child)
-      ));
+    // Children leaving without an animation disappear straight away, so that
+    // their siblings can move into their place.
+    this.state.children.forEach((child) => {
+      if (!this.tracker.shouldStartLeaving(child) || this.getLeaveAnimation(child)) {
+        return;
+      }
 
-      leavingChildren.forEach((leavingChild) => {
-        const childData = this.childrenData[leavingChild.key];
+      const childData = this.childrenData[child.key];
 
-        // We need to take the items out of the "flow" of the document, so that
-        // its siblings can move to take its place.
-        if (childData.boundingBox) {
-          removeNodeFromDOMFlow(childData, this.props.verticalAlignment);
-        }
-      });
+      this.triggerCancelHook(child);
+      this.removeTransitionEndHandler(child.key);
+      delete childData.inFlight;
 
-      if (maintainContainerHeight) {
-        updateHeightPlaceholder({
-          domNode: this.heightPlaceholderData.domNode,
-          parentData: this.parentData,
-          getPosition,
+      if (childData.domNode) {
+        applyStylesToDOMNode({
+          domNode: childData.domNode,
+          styles: { display: 'none' },
         });
       }
+
+      this.tracker.markAsLeft(child);
+    });
+
+    // we need to make all leaving nodes "invisible" to the layout calculations
+    // that will take place in the next step (this.runAnimation).
+    const leavingChildren = this.state.children.filter(child => (
+      this.tracker.shouldStartLeaving(child)
+    ));
+
+    leavingChildren.forEach((leavingChild) => {
+      const childData = this.childrenData[leavingChild.key];
+
+      // We need to take the items out of the "flow" of the document, so that
+      // its siblings can move to take its place.
+      if (childData.boundingBox) {
+        removeNodeFromDOMFlow(
+          childData,
+          this.props.verticalAlignment,
+          this.getMeasuredScrollOffsets()
+        );
+      }
+    });
+
+    // The placeholder is only rendered when there is a leave animation.
+    if (leaveAnimation && maintainContainerHeight) {
+      updateHeightPlaceholder({
+        domNode: this.heightPlaceholderData.domNode,
+        parentData: this.parentData,
+        getPosition: this.getPosition,
+      });
     }
 
     // For all children not in the middle of entering or leaving,
@@ -461,11 +1119,17 @@ class FlipMove extends Component {
 
       if (this.tracker.isIdle(child) || this.tracker.shouldToggleToEnteringWithoutAnimation(child)) {
 
+        // Web animations take precedence over inline styles, so an in-flight
+        // animation needs to be stopped for the same reason.
+        this.cancelRunningAnimation(child.key);
+
         let styles = {
           transition: ''
         };
 
         if (this.tracker.shouldToggleToEnteringWithoutAnimation(child)) {
+          this.triggerCancelHook(child);
+          delete this.childrenData[child.key].inFlight;
           this.removeTransitionEndHandler(domNode, child.key);
           styles = {
             ...this.getUndoLeavingStyles(),
@@ -477,7 +1141,7 @@ class FlipMove extends Component {
 
         applyStylesToDOMNode({
           domNode,
-          styles
+          styles: this.withOwnStyles(child, styles),
         });
       }
     });
@@ -488,32 +1152,193 @@ class FlipMove extends Component {
       this.doesChildNeedToBeAnimated
     );
 
+    const staggerIndexes = this.usesPhaseTiming()
+      ? this.getPhaseStaggerIndexes(dynamicChildren)
+      : this.getStaggerIndexes(dynamicChildren);
+
+    const sequenceDelay = this.props.sequence
+      ? this.getSequenceDelay(dynamicChildren, staggerIndexes)
+      : 0;
+
     dynamicChildren.forEach((child, n) => {
 
       // Only add the child to childrenToAnimate if not already there...
       if (this.childrenToAnimate.indexOf(child.key) === -1)
         this.childrenToAnimate.push(child.key);
 
-      this.animateChild(child, n);
-    });
+      this.triggerInterruptHook(child);
+
+      this.animateChild(
+        child,
+        staggerIndexes[n],
+        this.tracker.isQueuedForEntering(child) ? sequenceDelay : 0
+      );
+    });
+
+    this.restoreOwnTransitions();
+
+    if (this.props.onStartAll) {
+      const [elements, domNodes] = this.formatChildrenForHooks();
+      this.props.onStartAll(elements, domNodes);
+    }
+
+    // We can now safely mark all children that are entering without animation as idle...
+    this.state.children.forEach((child) => {
+      if (this.tracker.hasNoEnterAnimation(child)) {
+        this.tracker.markAsIdle(child);
+      }
+    });
+
+    this.state.children.forEach((child) => {
+      if (child.key) {
+        this.updateChildStatus(child);
+      }
+    });
+
+    // Children that left without an animation are normally removed along with
+    // the others, once every animation has finished (see triggerFinishHooks).
+    // If nothing is animating, that won't happen, so we remove them now.
+    const childrenThatLeft = this.state.children.filter(child => (
+      this.tracker.hasLeft(child)
+    ));
+
+    if (childrenThatLeft.length > 0 && Object.keys(this.transitionEndHandlerMap).length === 0) {
+      childrenThatLeft.forEach(({ key }) => delete this.childrenData[key]);
+      this.tracker.clearChildrenThatLeft();
+
+      this.setState({
+        children: this.state.children.filter(child => childrenThatLeft.indexOf(child) === -1),
+      });
+    }
+  }
+
+  // The order children are staggered in depends on the `staggerOrder` prop.
+  // Some orders need to measure the children, which we only do when needed.
+  getStaggerIndexes(children) {
+    const { staggerOrder, staggerFrom } = this.props;
+
+    const items = children.map(child => ({
+      position: this.state.children.indexOf(child),
+      distance: staggerOrder === 'byDistance' ? getDistance(this.getMoveDelta(child)) : 0,
+      box: staggerOrder === 'grid' ? this.getStaggerBox(child) : null,
+    }));
+
+    // Our children's keys are prefixed by React.Children.toArray.
+    const originChild = typeof staggerFrom !== 'undefined'
+      ? this.state.children.find(child => (
+        child.key === `.$${staggerFrom}` || child.key === String(staggerFrom)
+      ))
+      : null;
+
+    const origin = originChild
+      ? {
+        position: this.state.children.indexOf(originChild),
+        box: this.getStaggerBox(originChild),
+      }
+      : null;
+
+    return getStaggerIndexes(staggerOrder, items, origin);
+  }
+
+  // With separate timing for moves, enters and leaves, each of them is
+  // staggered on its own.
+  getPhaseStaggerIndexes(children) {
+    const staggerIndexes = [];
+
+    ['move', 'enter', 'leave'].forEach((phase) => {
+      const phaseChildren = children.filter(child => this.getPhase(child) === phase);
+      const phaseIndexes = this.getStaggerIndexes(phaseChildren);
+
+      phaseChildren.forEach((child, n) => {
+        staggerIndexes[children.indexOf(child)] = phaseIndexes[n];
+      });
+    });
+
+    return staggerIndexes;
+  }
+
+  // With `sequence`, freshly-entering children wait until every other child
+  // has finished moving or leaving, including those already in flight.
+  getSequenceDelay(children, staggerIndexes) {
+    const now = Date.now();
+
+    return this.state.children.reduce((longest, child) => {
+      if (!child.key || this.getPhase(child) === 'enter') {
+        return longest;
+      }
+
+      const n = children.indexOf(child);
+
+      if (n !== -1) {
+        const timing = this.getChildTiming(
+          child, staggerIndexes[n], this.getMoveDelta(child)
+        );
+
+        return Math.max(longest, timing.delay + timing.duration);
+      }
+
+      const childData = this.childrenData[child.key];
+
+      if (!childData || !childData.inFlight) {
+        return longest;
+      }
+
+      const { startedAt, delay, duration } = childData.inFlight;
+
+      return Math.max(longest, (startedAt + delay + duration) - now);
+    }, 0);
+  }
 
-    if (this.props.onStartAll) {
-      const [elements, domNodes] = this.formatChildrenForHooks();
-      this.props.onStartAll(elements, domNodes);
+  // Children ripple out from where they were before the update. Entering
+  // children weren't anywhere, so their new position is used.
+  getStaggerBox(child) {
+    const childData = this.childrenData[child.key];
+
+    if (!childData || !childData.domNode) {
+      return null;
     }
 
-    // We can now safely mark all children that are entering without animation as idle...
-    this.state.children.forEach((child) => {
-      if (this.tracker.hasNoEnterAnimation(child)) {
-        this.tracker.markAsIdle(child);
-      }
+    return childData.boundingBox || getRelativeBoundingBox({
+      childData,
+      parentData: this.parentData,
+      getPosition: this.getPosition,
     });
   }
 
-  animateChild(child, index) {
-    const { domNode } = this.childrenData[child.key];
+  animateChild(child, index, sequenceDelay = 0) {
+    const childData = this.childrenData[child.key];
+    const { domNode } = childData;
     const hasToggled = this.tracker.hasToggled(child);
 
+    // Multi-step animations can only be run by the Web Animations API. When
+    // it isn't available, we transition from the first step to the last.
+    const keyframes = noWebAnimationsSupport ? null : this.getKeyframes(child);
+    const useWebAnimations = this.usesWebAnimations() || !!keyframes;
+
+    // An in-flight web animation overrides any inline styles we apply, so we
+    // freeze it at its current values. This way the next animation picks up
+    // from where the previous one was.
+    this.commitRunningAnimation(child);
+
+    // The timing needs to be worked out before any styles are applied, since
+    // moves are measured from where the child currently is.
+    const moveDelta = this.getMoveDelta(child);
+    const childTiming = this.getChildTiming(child, index, moveDelta);
+    const previousPhase = childData.inFlight ? childData.inFlight.phase : null;
+    const timing = sequenceDelay > 0
+      ? { ...childTiming, delay: childTiming.delay + sequenceDelay }
+      : childTiming;
+
+    childData.inFlight = {
+      startedAt: Date.now(),
+      delay: timing.delay,
+      duration: timing.duration,
+      speed: timing.duration > 0 ? getDistance(moveDelta) / timing.duration : 0,
+      spring: timing.spring,
+      phase: this.getPhase(child),
+      delta: moveDelta,
+    };
+
     // If a child has just toggled between entering and leaving so we can already remove
     // the existing one in favor of a new one...
     if (hasToggled) {
@@ -526,23 +1351,83 @@ class FlipMove extends Component {
     // style of 'transform: translate(-20px)', so that it appears to be where
     // it started.
     // In FLIP terminology, this is the 'Invert' stage.
-    const computedStyles = this.computeInitialStyles(child);
-
-    if (computedStyles) {
+    delete childData.scale;
+    const initialStyles = this.computeInitialStyles(child);
+
+    // Refreshed transitions start from the child's current computed styles,
+    // which already include its own.
+    const computedStyles = this.isEligibleForTransitionRefresh(child)
+      ? initialStyles
+      : this.withOwnStyles(child, initialStyles);
+    const counterScaleNode = this.getCounterScaleNode(child);
+    childData.counterScaleNode = counterScaleNode;
+
+    if (computedStyles && !useWebAnimations) {
       applyStylesToDOMNode({
         domNode,
         styles: computedStyles,
       });
+
+      if (counterScaleNode) {
+        applyStylesToDOMNode({
+          domNode: counterScaleNode,
+          styles: { transition: '', ...this.getCounterScaleStyles(child) },
+        });
+      }
     }
 
     // We only have to add a new onStart handler if the child is actually fresh...
     // We don't have to run onStart for animations that toggled...
-    if (this.tracker.isQueuedForEntering(child) || this.tracker.isQueuedForLeaving(child)) {
+    // Moving children are fresh when they weren't already animating.
+    if (
+      !previousPhase ||
+      this.tracker.isQueuedForEntering(child) ||
+      this.tracker.isQueuedForLeaving(child)
+    ) {
       // Start by invoking the onStart callback for this child.
       if (this.props.onStart)
         this.props.onStart(child, domNode);
     }
 
+    // Children that carry on with the same kind of animation (eg. a leave
+    // that is refreshed) have already started it.
+    if (childData.inFlight.phase !== previousPhase) {
+      this.triggerPhaseHook(childData.inFlight.phase, 'Start', child, moveDelta);
+    }
+
+
+    // With the Web Animations API, there's no need to wait for the initial
+    // styles to be painted; both states are handed over as keyframes.
+    if (useWebAnimations) {
+      const animation = animateDOMNode({
+        domNode,
+        fromStyles: computedStyles || {},
+        toStyles: this.withOwnStyles(child, this.computeFinalStyles(child)),
+        keyframes,
+        timing,
+      });
+
+      if (counterScaleNode) {
+        animateDOMNode({
+          domNode: counterScaleNode,
+          fromStyles: this.getCounterScaleStyles(child),
+          toStyles: { transform: '' },
+          timing,
+        });
+      }
+
+      this.bindTransitionEndHandler(child, animation);
+      return;
+    }
+
+    // The properties to transition need to be worked out while we still know
+    // whether the child is entering or leaving.
+    const transitionProperties = this.getTransitionProperties(child);
+    const transitionEndHandler = this.bindTransitionEndHandler(child);
+
+    // A transition with no time left (eg. a refreshed one whose original has
+    // run its course) never fires `transitionend`.
+    const hasNoTimeLeft = timing.duration <= 0 && timing.delay <= 0;
 
     // Next, animate the item from it's artificially-offset position to its
     // new, natural position.
@@ -559,42 +1444,259 @@ class FlipMove extends Component {
         // previous frames, while also adding a `transition` property.
         // This way, the item will smoothly transition from its old position
         // to its new position.
-        let styles = {
-          transition: createTransitionString(index, this.props),
-          transform: '',
-          opacity: '',
-        };
-
-        // We are (re)applying the final state for entering animations...
-        if ((this.tracker.shouldStartEntering(child) || this.tracker.isEntering(child)) && this.props.enterAnimation) {
-          styles = {
-            ...styles,
-            ...this.props.enterAnimation.to,
-          };
+        const transition = createTransitionString(timing, transitionProperties);
+        const styles = this.withOwnStyles(child, {
+          transition,
+          ...this.computeFinalStyles(child),
+        });
 
-          this.tracker.markAsEntering(child);
+        // In FLIP terminology, this is the 'Play' stage.
+        applyStylesToDOMNode({ domNode, styles });
 
+        if (counterScaleNode) {
+          applyStylesToDOMNode({
+            domNode: counterScaleNode,
+            styles: { transition, transform: '' },
+          });
         }
 
-        // We are (re)applying the final state for leaving animations...
-        else if ((this.tracker.shouldStartLeaving(child) || this.tracker.isLeaving(child)) && this.props.leaveAnimation) {
-          styles = {
-            ...styles,
-            ...this.props.leaveAnimation.to,
-          };
+        // So the child is finished as soon as it's in place, unless a newer
+        // animation has taken over in the meantime.
+        const handler = this.transitionEndHandlerMap[child.key];
 
-          this.tracker.markAsLeaving(child);
+        if (hasNoTimeLeft && handler && handler.callback === transitionEndHandler) {
+          transitionEndHandler();
         }
-
-        // In FLIP terminology, this is the 'Play' stage.
-        applyStylesToDOMNode({ domNode, styles });
       });
     });
+  }
+
+  // Whether the child is entering, leaving, or simply moving (or about to).
+  getPhase(child) {
+    if (this.tracker.shouldStartEntering(child) || this.tracker.isEntering(child)) {
+      return 'enter';
+    }
+
+    if (this.tracker.shouldStartLeaving(child) || this.tracker.isLeaving(child)) {
+      return 'leave';
+    }
+
+    return 'move';
+  }
+
+  // The enter or leave animation the child is running (or about to run), if
+  // any.
+  getCurrentAnimation(child) {
+    switch (this.getPhase(child)) {
+      case 'enter':
+        return this.getEnterAnimation(child);
+      case 'leave':
+        return this.getLeaveAnimation(child);
+      default:
+        return null;
+    }
+  }
+
+  // Enter and leave animations can change any style, not just the transform
+  // and opacity used by moves.
+  getTransitionProperties(child) {
+    const animation = this.getCurrentAnimation(child);
+
+    return Object.keys({
+      transform: '',
+      opacity: '',
+      ...(animation ? animation.from : {}),
+      ...(animation ? animation.to : {}),
+    });
+  }
+
+  // The properties whose transitionend event tells us that the child's
+  // animation is done. Others (eg. a hover effect the child transitions
+  // itself) don't.
+  getPropertiesToWaitFor(child) {
+    const animation = this.getCurrentAnimation(child);
+
+    // Moves only change the transform (or, with reduced motion, the
+    // opacity).
+    if (!animation) {
+      return this.usesFadeOnly() ? ['opacity'] : ['transform'];
+    }
+
+    const isFresh = (
+      this.tracker.isQueuedForEntering(child) ||
+      this.tracker.isQueuedForLeaving(child)
+    );
+
+    // Interrupted enter/leave animations don't start from their `from`
+    // styles, so we can't tell which properties will change. Moves are
+    // still applied through the transform.
+    if (!isFresh) {
+      return typeof animation.to.transform !== 'undefined' ? ['transform'] : [];
+    }
+
+    return Object.keys(animation.to)
+      .filter(property => animation.from[property] !== animation.to[property])
+      .map(getCSSPropertyName);
+  }
+
+  // Only fresh enter and leave animations play all of their steps. Those
+  // that are interrupted head straight for their final styles.
+  getKeyframes(child) {
+    let animation = null;
+
+    if (this.tracker.isQueuedForEntering(child)) {
+      animation = this.getEnterAnimation(child);
+    } else if (this.tracker.isQueuedForLeaving(child)) {
+      animation = this.getLeaveAnimation(child);
+    }
+
+    return animation && animation.keyframes ? animation.keyframes : null;
+  }
+
+  getMoveDelta(child) {
+    // Only children that are moving into a new position (rather than
+    // entering or leaving) travel a distance.
+    const isMoving = !this.isEligibleForTransitionRefresh(child) &&
+      (this.tracker.isIdle(child) || this.tracker.isEntering(child));
+
+    if (!isMoving) {
+      return [0, 0];
+    }
+
+    return getPositionDelta({
+      childData: this.childrenData[child.key],
+      parentData: this.parentData,
+      getPosition: this.getPosition,
+      scrollDelta: this.getScrollDelta(),
+    });
+  }
+
+  getChildTiming(child, index, moveDelta) {
+    const timing = getTransitionTiming(index, this.getTimingProps(child));
+    const { inFlight } = this.childrenData[child.key];
+    const moveDistance = getDistance(moveDelta);
+
+    if (this.props.timing) {
+      return this.getSpringTiming(timing, moveDelta, inFlight);
+    }
+
+    if (!inFlight) {
+      return timing;
+    }
+
+    // A refreshed enter/leave animation still heads for the same final
+    // styles, so it should only take as long as the original had left.
+    if (this.isEligibleForTransitionRefresh(child)) {
+      return {
+        ...timing,
+        ...getRemainingTiming(inFlight, Date.now()),
+      };
+    }
+
+    // An interrupted move continues right away from its current position,
+    // at the speed it was already travelling.
+    if (moveDistance > 0 && inFlight.speed > 0) {
+      return {
+        ...timing,
+        delay: 0,
+        duration: getContinuedMoveDuration(
+          moveDistance, inFlight.speed, timing.duration
+        ),
+      };
+    }
+
+    return timing;
+  }
+
+  getSpringTiming(timing, moveDelta, inFlight) {
+    const config = this.props.timing;
+    const distance = getDistance(moveDelta);
 
-    this.bindTransitionEndHandler(child);
+    // The spring is at rest once it's within half a pixel of its destination.
+    const restDelta = distance > 0 ? 0.5 / distance : defaultRestDelta;
+
+    // An interrupted move keeps its momentum, and continues right away.
+    const isInterruptedMove = (
+      distance > 0 && inFlight && inFlight.spring && inFlight.spring.delta
+    );
+
+    const initialVelocity = isInterruptedMove
+      ? carryOverVelocity(
+        inFlight.spring,
+        Date.now() - inFlight.startedAt - inFlight.delay,
+        moveDelta
+      )
+      : 0;
+
+    // Springs that start from rest are all the same curve, cut short once
+    // the child is close enough.
+    const progress = initialVelocity === 0
+      ? settleSpring(simulateRestingSpring(config), restDelta)
+      : simulateSpring(config, initialVelocity, restDelta);
+
+    return {
+      delay: isInterruptedMove ? 0 : timing.delay,
+      duration: getSpringDuration(progress),
+      // Browsers without `linear()` support can't follow the spring's curve,
+      // but at least it runs for as long as the spring would.
+      easing: noLinearEasingSupport ? timing.easing : createSpringEasing(progress),
+      spring: {
+        progress,
+        delta: distance > 0 ? moveDelta : null,
+      },
+    };
+  }
+
+  getLongestRemainingAnimationTime() {
+    const now = Date.now();
+
+    return Object.keys(this.childrenData).reduce((longest, key) => {
+      const { inFlight } = this.childrenData[key];
+
+      if (!inFlight) {
+        return longest;
+      }
+
+      const remaining = (inFlight.startedAt + inFlight.delay + inFlight.duration) - now;
+
+      return Math.max(longest, remaining);
+    }, 0);
+  }
+
+  computeFinalStyles(child) {
+    let styles = {
+      transform: '',
+      opacity: '',
+    };
+
+    const enterAnimation = this.getEnterAnimation(child);
+    const leaveAnimation = this.getLeaveAnimation(child);
+
+    // We are (re)applying the final state for entering animations...
+    if ((this.tracker.shouldStartEntering(child) || this.tracker.isEntering(child)) && enterAnimation) {
+      styles = {
+        ...styles,
+        ...enterAnimation.to,
+      };
+
+      this.tracker.markAsEntering(child);
+
+    }
+
+    // We are (re)applying the final state for leaving animations...
+    else if ((this.tracker.shouldStartLeaving(child) || this.tracker.isLeaving(child)) && leaveAnimation) {
+      styles = {
+        ...styles,
+        ...leaveAnimation.to,
+      };
+
+      this.tracker.markAsLeaving(child);
+    }
+
+    return styles;
   }
 
-  addTransitionEndHandler(domNode, childKey, callback) {
+  addTransitionEndHandler(domNode, childKey, callback, animation = null) {
 
     // We are removing any existing listeners as we only allow a single handler per child...
     this.removeTransitionEndHandler(childKey);
@@ -602,9 +1704,17 @@ class FlipMove extends Component {
     // Saves the transition in the map in order to remove it if required...
     this.transitionEndHandlerMap[childKey] = {
       domNode,
-      callback
+      callback,
+      animation
     };
 
+    // Web animations tell us when they're done themselves...
+    if (animation) {
+      // eslint-disable-next-line no-param-reassign
+      animation.onfinish = () => callback();
+      return;
+    }
+
     // Adds a transition end handler to a dom node...
     domNode.addEventListener(transitionEnd, callback);
 
@@ -614,15 +1724,78 @@ class FlipMove extends Component {
 
     // Removes a transition end handler from a dom node and removes it from the transitionEndHandlerMap obj.
     if (this.transitionEndHandlerMap[childKey]) {
-      const { domNode, callback } = this.transitionEndHandlerMap[childKey];
-      domNode.removeEventListener(transitionEnd, callback);
+      const { domNode, callback, animation } = this.transitionEndHandlerMap[childKey];
+
+      if (animation) {
+        animation.onfinish = null;
+        animation.cancel();
+      } else {
+        domNode.removeEventListener(transitionEnd, callback);
+      }
+
       delete this.transitionEndHandlerMap[childKey];
     }
   }
 
-  bindTransitionEndHandler(child) {
-    const { enterAnimation, leaveAnimation } = this.props;
-    const { domNode} = this.childrenData[child.key];
+  // Stops a web animation, without removing its handler. Like a CSS transition
+  // that is cut short, the handler is left for the cleanup fallback.
+  cancelRunningAnimation(childKey) {
+    const handler = this.transitionEndHandlerMap[childKey];
+
+    if (handler && handler.animation) {
+      handler.animation.cancel();
+    }
+  }
+
+  // Stops a web animation, leaving the node exactly where the animation had
+  // brought it by applying its current values as inline styles.
+  commitRunningAnimation(child) {
+    const handler = this.transitionEndHandlerMap[child.key];
+
+    if (!handler || !handler.animation) {
+      return;
+    }
+
+    const { domNode, animation } = handler;
+    const styles = getComputedStyleValues(domNode, this.getAnimatedProperties(child));
+
+    animation.cancel();
+    applyStylesToDOMNode({ domNode, styles });
+  }
+
+  getAnimatedProperties(child) {
+    const appearAnimation = this.getAnimationForDirection(this.props.appearAnimation);
+    const enterAnimation = this.getAnimationForDirection(
+      this.getChildProps(child).enterAnimation
+    );
+    const leaveAnimation = this.getLeaveAnimation(child);
+
+    return Object.keys({
+      transform: '',
+      opacity: '',
+      ...(appearAnimation ? appearAnimation.to : {}),
+      ...(enterAnimation ? enterAnimation.to : {}),
+      ...(leaveAnimation ? leaveAnimation.to : {}),
+    });
+  }
+
+  usesWebAnimations() {
+    // When the Web Animations API isn't available, we fall back to CSS
+    // transitions.
+    return this.props.engine === 'waapi' && !noWebAnimationsSupport;
+  }
+
+  bindTransitionEndHandler(child, animation = null) {
+    const childData = this.childrenData[child.key];
+    const { domNode } = childData;
+
+    // All of our properties share the same timing, so the first of them to
+    // finish means they all have. We can't wait for each of them: those that
+    // don't end up changing (eg. opacity heading back to the value it has
+    // anyway) or can't be interpolated (eg. max-height heading for `none`)
+    // never fire transitionend. If we don't know which will change, any
+    // property will do.
+    const properties = this.getPropertiesToWaitFor(child);
 
     // The onFinish callback needs to be bound to the transitionEnd event.
     // We also need to unbind it when the transition completes, so this ugly
@@ -631,52 +1804,122 @@ class FlipMove extends Component {
     const transitionEndHandler = (ev = null) => {
 
       // If event is null then the transitionEndHandler was forced by a timeout...
+      if (ev) {
+        // It's possible that this handler is fired not on our primary transition,
+        // but on a nested transition (eg. a hover effect). Ignore these cases.
+        if (ev.target !== domNode) return;
+
+        // Shorthands (eg. padding) are reported through their longhands.
+        const isOurs = properties.length === 0 || properties.some(property => (
+          isTransitionOf(property, ev.propertyName)
+        ));
 
-      // In CSS/JS transitionend is called for each property that is animating.
-      // There are however cases where the browser (f.e. Chrome) calls transitionend for the opacity property
-      // a lot earlier than transform. To tackle this we are going to wait for the transform to finish
-      // if any is defined.
+        if (!isOurs) return;
+      }
 
-      // By default we are going to wait for transform to finish (transform is used for moving elements)...
-      let waitForTransformToFinish = true;
+      // Remove the 'transition' inline style we added. This is cleanup.
+      // If the child had one of its own, that's restored instead.
+      domNode.style.transition = childData.ownStyles
+        ? childData.ownStyles.inline.transition
+        : '';
+      delete childData.ownStyles;
+
+      // Size animations also scale from the top left corner, which needs
+      // cleaning up too.
+      if (this.props.animateSize) {
+        domNode.style.transformOrigin = '';
+      }
 
-      // We are check the enter/leave transitions to confirm they have a transform property...
-      if (this.tracker.isLeaving(child) && leaveAnimation) {
-        waitForTransformToFinish = Object.keys(leaveAnimation.to).indexOf('transform') !== -1;
-      } else if (this.tracker.isEntering(child) && enterAnimation) {
-        waitForTransformToFinish = Object.keys(enterAnimation.to).indexOf('transform') !== -1;
+      if (childData.counterScaleNode) {
+        applyStylesToDOMNode({
+          domNode: childData.counterScaleNode,
+          styles: { transition: '', transformOrigin: '' },
+        });
+        delete childData.counterScaleNode;
       }
 
-      if (!ev || ev.propertyName === "transform" || !waitForTransformToFinish) {
-        // It's possible that this handler is fired not on our primary transition,
-        // but on a nested transition (eg. a hover effect). Ignore these cases.
-        if (ev && ev.target !== domNode) return;
+      // The phase is worked out before the child's status moves on.
+      const phase = this.getPhase(child);
+      const delta = childData.inFlight ? childData.inFlight.delta : [0, 0];
 
-        // Remove the 'transition' inline style we added. This is cleanup.
-        domNode.style.transition = '';
+      // Removing the transitionEndHandlerMap from the tracking object has it finished...
+      this.removeTransitionEndHandler(child.key);
+      delete childData.inFlight;
 
-        // Removing the transitionEndHandlerMap from the tracking object has it finished...
-        this.removeTransitionEndHandler(child.key);
+      // Check if the transition that ended was a leaving animation to decide if the child has left...
+      const hasLeft = this.tracker.isLeaving(child);
+      if (hasLeft) this.tracker.markAsLeft(child);
 
-        // Check if the transition that ended was a leaving animation to decide if the child has left...
-        const hasLeft = this.tracker.isLeaving(child);
-        if (hasLeft) this.tracker.markAsLeft(child);
+      const hasEntered = this.tracker.isEntering(child);
+      if (hasEntered) this.tracker.markAsIdle(child);
 
-        const hasEntered = this.tracker.isEntering(child);
-        if (hasEntered) this.tracker.markAsIdle(child);
+      // Whatever the animation was, any appear animation is now over.
+      delete childData.isAppearing;
 
-        // Trigger any applicable onFinish/onFinishAll hooks
-        this.triggerFinishHooks(child, domNode);
+      this.updateChildStatus(child);
+      this.triggerPhaseHook(phase, 'Finish', child, delta);
 
-        if (hasLeft) {
-          delete this.childrenData[child.key];
-        }
+      // Trigger any applicable onFinish/onFinishAll hooks
+      this.triggerFinishHooks(child, domNode);
+
+      if (hasLeft) {
+        delete this.childrenData[child.key];
       }
 
     };
 
     // Adding the transition handler...
-    this.addTransitionEndHandler(domNode, child.key, transitionEndHandler);
+    this.addTransitionEndHandler(domNode, child.key, transitionEndHandler, animation);
+
+    return transitionEndHandler;
+  }
+
+  // eg. `onEnterStart(child, domNode, [dX, dY])`. Only moves have a delta;
+  // for enters and leaves, it's [0, 0].
+  triggerPhaseHook(phase, stage, child, delta) {
+    const hook = this.props[`${phaseHookPrefixes[phase]}${stage}`];
+    const childData = this.childrenData[child.key];
+
+    if (typeof hook === 'function' && childData) {
+      hook(child, childData.domNode, delta);
+    }
+  }
+
+  // A child that is still animating when an update gives it a new animation
+  // (eg. an enter that is reversed, or a move that is superseded).
+  triggerInterruptHook(child) {
+    const { inFlight, domNode } = this.childrenData[child.key];
+
+    if (!inFlight || !this.props.onInterrupt) {
+      return;
+    }
+
+    // Entering and leaving children that are simply refreshed (or moved)
+    // carry on with the same animation, so they aren't interrupted.
+    const phase = this.getPhase(child);
+
+    if (phase === inFlight.phase && phase !== 'move') {
+      return;
+    }
+
+    this.props.onInterrupt(
+      child,
+      phaseStatuses[inFlight.phase],
+      phaseStatuses[phase],
+      domNode
+    );
+  }
+
+  // A child whose animation is dropped part-way, without a new one taking
+  // its place.
+  triggerCancelHook(child) {
+    const childData = this.childrenData[child.key];
+
+    if (!childData || !childData.inFlight || !this.props.onCancel) {
+      return;
+    }
+
+    this.props.onCancel(child, childData.domNode);
   }
 
   triggerFinishHooks(child, domNode) {
@@ -704,6 +1947,8 @@ class FlipMove extends Component {
           this.props.onFinishAll(elements, domNodes);
         }
 
+        this.settleFinished();
+
         // Reset our variables for the next iteration
         this.childrenToAnimate = [];
       });
@@ -742,6 +1987,7 @@ class FlipMove extends Component {
     // to be compared to this value, but it's important that the cache is
     // updated once per update.
     this.updateParentBoundingBox();
+    this.updateScrollData();
 
     this.state.children.forEach((child) => {
       // It is possible that a child does not have a `key` property;
@@ -768,11 +2014,40 @@ class FlipMove extends Component {
       childData.boundingBox = getRelativeBoundingBox({
         childData,
         parentData: this.parentData,
-        getPosition: this.props.getPosition,
+        getPosition: this.getPosition,
       });
     });
   }
 
+  // Children are measured relative to our container, so scrolling the window
+  // (or anything else around the container) moves both and cancels out. When
+  // the container is what scrolls, though, the children move within it. That's
+  // the only scrolling we need to make up for.
+  updateScrollData() {
+    const { domNode } = this.parentData;
+
+    this.scrollData = this.props.compensateScroll && domNode
+      ? { offsets: getScrollOffsets(domNode) }
+      : null;
+  }
+
+  // How far the container had scrolled when the children were measured.
+  getMeasuredScrollOffsets() {
+    return this.scrollData ? this.scrollData.offsets : [0, 0];
+  }
+
+  // How far the container has scrolled since the children were measured.
+  getScrollDelta() {
+    if (!this.scrollData) {
+      return [0, 0];
+    }
+
+    const { offsets } = this.scrollData;
+    const [x, y] = getScrollOffsets(this.parentData.domNode);
+
+    return [x - offsets[0], y - offsets[1]];
+  }
+
   // The style properties necessary to undo a leaving item...
   getUndoLeavingStyles() {
     return {
@@ -781,6 +2056,8 @@ class FlipMove extends Component {
       left: '',
       right: '',
       bottom: '',
+      visibility: '',
+      display: '',
     };
   }
 
@@ -813,9 +2090,8 @@ class FlipMove extends Component {
     // Check whether wa want to re-attach / restart
     if (this.isEligibleForTransitionRefresh(child)) {
 
-      // @todo We are currently not reducing the transition length in order to take into account that
-      // the transition was already ongoing. This will result in transitions having their duration
-      // reset whenever they are to be refreshed by this code.
+      // Note that the refreshed transition only runs for the time the original one had left (see
+      // getChildTiming).
 
       // Check if we are refreshing an entering transition...
       const isEntering = this.tracker.isEntering(child);
@@ -842,7 +2118,8 @@ class FlipMove extends Component {
         const [dX, dY] = getPositionDelta({
           childData: this.childrenData[child.key],
           parentData: this.parentData,
-          getPosition: this.props.getPosition,
+          getPosition: this.getPosition,
+          scrollDelta: this.getScrollDelta(),
         });
 
         // We are combining the delta as a translate() together with the current transform value...
@@ -881,8 +2158,8 @@ class FlipMove extends Component {
 
     // @todo Not sure if this is still required as we have multiple 'withoutAnimation' status...
     const enterOrLeaveWithoutAnimation = (
-      (isQueuedToEnter && !this.props.enterAnimation) ||
-      (isQueuedForLeaving && !this.props.leaveAnimation)
+      (isQueuedToEnter && !this.getEnterAnimation(child)) ||
+      (isQueuedForLeaving && !this.getLeaveAnimation(child))
     );
 
     if (enterOrLeaveWithoutAnimation) {
@@ -901,7 +2178,7 @@ class FlipMove extends Component {
         // We are starting a fresh animation as the item did not just toggle...
         {
           ...styles,
-          ...this.props.enterAnimation.from,
+          ...this.getEnterAnimation(child).from,
         } :
 
         // The item toggled so we do not need the base styles of the animation...
@@ -913,7 +2190,7 @@ class FlipMove extends Component {
       return isQueuedForLeaving ?
 
         // The item was idle before so we want to set the initial styles...
-        this.props.leaveAnimation.from :
+        this.getLeaveAnimation(child).from :
 
         // The item was entering before so we don't need se initial styles...
         null;
@@ -923,27 +2200,77 @@ class FlipMove extends Component {
     // a move transtion applied...
     if (this.tracker.isIdle(child) || this.tracker.isEntering(child)) {
 
+      // With reduced motion, moving children fade in at their new position,
+      // rather than travelling there.
+      if (this.usesFadeOnly()) {
+        return { opacity: 0 };
+      }
+
+      const childData = this.childrenData[child.key];
+
       const [dX, dY] = getPositionDelta({
-        childData: this.childrenData[child.key],
+        childData,
         parentData: this.parentData,
-        getPosition: this.props.getPosition,
+        getPosition: this.getPosition,
+        scrollDelta: this.getScrollDelta(),
+      });
+
+      if (!this.props.animateSize) {
+        return {
+          transform: `translate(${dX}px, ${dY}px)`,
+        };
+      }
+
+      // When sizes are animated, we also scale the item back to its old size.
+      // Scaling from the top left corner keeps the translate accurate.
+      const [scaleX, scaleY] = getScaleDelta({
+        childData,
+        getPosition: this.getPosition,
       });
 
+      childData.scale = [scaleX, scaleY];
+
       return {
-        transform: `translate(${dX}px, ${dY}px)`,
+        transformOrigin: '0 0',
+        transform: `translate(${dX}px, ${dY}px) scale(${scaleX}, ${scaleY})`,
       };
     }
   }
 
+  getCounterScaleNode(child) {
+    // Scaling an item also distorts its contents. A designated inner element
+    // can be scaled in the opposite direction, to keep it looking unchanged.
+    const { counterScaleSelector } = this.props;
+    const { domNode, scale } = this.childrenData[child.key];
+
+    if (!counterScaleSelector || !scale) {
+      return null;
+    }
+
+    return domNode.querySelector(counterScaleSelector);
+  }
+
+  getCounterScaleStyles(child) {
+    const [scaleX, scaleY] = this.childrenData[child.key].scale;
+
+    return {
+      transformOrigin: '0 0',
+      transform: `scale(${1 / scaleX}, ${1 / scaleY})`,
+    };
+  }
+
   isAnimationDisabled(props) {
     // If the component is explicitly passed a `disableAllAnimations` flag,
     // we can skip this whole process. Similarly, if all of the numbers have
     // been set to 0, there is no point in trying to animate; doing so would
     // only cause a flicker (and the intent is probably to disable animations)
     // We can also skip this rigamarole if there's no browser support for it.
+    // Users who've asked their OS to reduce motion get no animations either,
+    // unless the `reducedMotion` prop says otherwise.
     return (
       noBrowserSupport ||
       props.disableAllAnimations ||
+      (this.prefersReducedMotion && props.reducedMotion === 'disable') ||
       (
         props.duration === 0 &&
         props.delay === 0 &&
@@ -983,7 +2310,12 @@ class FlipMove extends Component {
 
     if (this.tracker.isIdle(child) || this.tracker.isEntering(child)) {
 
-      const { getPosition } = this.props;
+      const { getPosition } = this;
+
+      // Disabled children jump straight to their new position.
+      if (this.getChildProps(child).disabled) {
+        return false;
+      }
 
       // Children that are idle, or are entering (when no shuffling took place)
       // will transition if they actually moved
@@ -992,8 +2324,17 @@ class FlipMove extends Component {
         childData,
         parentData: this.parentData,
         getPosition,
+        scrollDelta: this.getScrollDelta(),
       });
 
+      if (this.props.animateSize) {
+        const [scaleX, scaleY] = getScaleDelta({ childData, getPosition });
+
+        if (scaleX !== 1 || scaleY !== 1) {
+          return true;
+        }
+      }
+
       return dX !== 0 || dY !== 0;
     }
 
@@ -1035,26 +2376,74 @@ class FlipMove extends Component {
     // We need to clone the provided children, capturing a reference to the
     // underlying DOM node. Flip Move needs to use the React escape hatches to
     // be able to do its calculations.
-    return this.state.children.map(child => (
-      React.cloneElement(child, {
-        ref: (element) => {
-          // Stateless Functional Components are not supported by FlipMove,
-          // because they don't have instances.
-          if (!element) {
-            return;
-          }
+    return this.state.children.map((child) => {
+      const ref = (element) => {
+        // Stateless Functional Components are not supported by FlipMove,
+        // because they don't have instances. They need to be wrapped in a
+        // FlipMove.Item, which does.
+        if (!element) {
+          return;
+        }
 
-          const domNode = getNativeNode(element);
+        const domNode = getNativeNode(element);
 
-          // If this is the first render, we need to create the data entry
-          if (!this.childrenData[child.key]) {
-            this.childrenData[child.key] = {};
-          }
+        // If this is the first render, we need to create the data entry
+        if (!this.childrenData[child.key]) {
+          this.childrenData[child.key] = {};
+        }
 
-          this.childrenData[child.key].domNode = domNode;
-        },
-      })
-    ));
+        this.childrenData[child.key].domNode = domNode;
+
+        // FlipMove.Items keep their child up to date with its status.
+        if (element instanceof FlipMoveItem) {
+          this.childrenData[child.key].item = element;
+        }
+      };
+
+      const extraProps = { ref };
+
+      if (child.type === FlipMoveItem) {
+        extraProps.status = this.getChildStatus(child);
+      }
+
+      // The `flipMove` prop holds overrides meant for us, not for the child.
+      // DOM elements would warn about an unknown prop.
+      if (child.props && Object.prototype.hasOwnProperty.call(child.props, 'flipMove')) {
+        return React.createElement(child.type, {
+          ...omit(child.props, ['flipMove']),
+          key: child.key,
+          ...extraProps,
+        });
+      }
+
+      return React.cloneElement(child, extraProps);
+    });
+  }
+
+  // The status FlipMove.Items share with their child.
+  getChildStatus(child) {
+    const status = this.tracker.getStatus(child);
+
+    if (this.tracker.isEnteringStatus(status)) {
+      return 'entering';
+    }
+
+    if (this.tracker.isLeavingStatus(status) || this.tracker.hasLeft(child)) {
+      return 'leaving';
+    }
+
+    const childData = this.childrenData[child.key];
+
+    return childData && childData.inFlight ? 'moving' : 'idle';
+  }
+
+  // Statuses also change in between renders, as animations start and finish.
+  updateChildStatus(child) {
+    const childData = this.childrenData[child.key];
+
+    if (childData && childData.item) {
+      childData.item.setStatus(this.getChildStatus(child));
+    }
   }
 
   render() {
@@ -1083,4 +2472,16 @@ class FlipMove extends Component {
   }
 }
 
-export default propConverter(FlipMove);
\ No newline at end of file
+FlipMove.contextTypes = {
+  flipMoveGroup: PropTypes.instanceOf(SharedElementRegistry),
+};
+
+const FlipMoveWithConvertedProps = propConverter(FlipMove);
+
+FlipMoveWithConvertedProps.Group = FlipMoveGroup;
+FlipMoveWithConvertedProps.Item = FlipMoveItem;
+FlipMoveWithConvertedProps.Presets = FlipMovePresets;
+FlipMoveWithConvertedProps.registerPreset = registerPreset;
+FlipMoveWithConvertedProps.unregisterPreset = unregisterPreset;
+
+export default FlipMoveWithConvertedProps;
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * React Flip Move | FlipMoveGroup
+ * (c) 2016-present Joshua Comeau
+ *
+ * Allows children to move between separate FlipMove containers.
+ *
+ * When a child leaves one container and enters another during the same
+ * update, the leaving container registers where the child was. The entering
+ * container then claims that position, and animates the child from there as
+ * a regular move, instead of playing a leave and an enter animation.
+ *
+ * FlipMove containers opt in with the `sharedKey` prop; only containers with
+ * the same `sharedKey` exchange children.
+ */
+
+import React, { Component, PropTypes } from 'react';
+
+
+export class SharedElementRegistry {
+  constructor() {
+    this.entries = {};
+  }
+
+  // `entry` needs shape { box, release }, where `box` is the child's
+  // position relative to the viewport, and `release` is called when another
+  // container takes the child over.
+  register(key, entry) {
+    this.entries[key] = entry;
+  }
+
+  // Only remove the entry if it hasn't since been replaced.
+  unregister(key, entry) {
+    if (this.entries[key] === entry) {
+      delete this.entries[key];
+    }
+  }
+
+  claim(key) {
+    const entry = this.entries[key];
+
+    if (!entry) {
+      return null;
+    }
+
+    delete this.entries[key];
+    entry.release();
+
+    return entry;
+  }
+}
+
+
+class FlipMoveGroup extends Component {
+  constructor(props) {
+    super(props);
+
+    this.registry = new SharedElementRegistry();
+  }
+
+  getChildContext() {
+    return { flipMoveGroup: this.registry };
+  }
+
+  render() {
+    return React.Children.only(this.props.children);
+  }
+}
+
+FlipMoveGroup.propTypes = {
+  children: PropTypes.element.isRequired,
+};
+
+FlipMoveGroup.childContextTypes = {
+  flipMoveGroup: PropTypes.instanceOf(SharedElementRegistry),
+};
+
+export default FlipMoveGroup;
@@ -0,0 +1,74 @@
+/**
+ * React Flip Move | FlipMoveItem
+ * (c) 2016-present Joshua Comeau
+ *
+ * Stateless functional components can't be given refs, so FlipMove can't
+ * find their DOM nodes. Wrapping them in this component solves that, without
+ * adding an extra element to the DOM: FlipMove takes a ref to this component
+ * instead, and its DOM node is the one rendered by the wrapped component.
+ *
+ *   <FlipMove>
+ *     {items.map(item => (
+ *       <FlipMove.Item key={item.id}>
+ *         <MyFunctionalComponent {...item} />
+ *       </FlipMove.Item>
+ *     ))}
+ *   </FlipMove>
+ *
+ * Its child can also be a function, which is given the item's current status
+ * ('entering', 'leaving', 'moving' or 'idle'), and is called again whenever
+ * the status changes:
+ *
+ *   <FlipMove.Item key={item.id}>
+ *     {status => <Row {...item} disabled={status === 'leaving'} />}
+ *   </FlipMove.Item>
+ */
+
+import React, { Component, PropTypes } from 'react';
+
+
+class FlipMoveItem extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      status: props.status,
+    };
+  }
+
+  componentWillReceiveProps(nextProps) {
+    if (nextProps.status !== this.props.status) {
+      this.setState({ status: nextProps.status });
+    }
+  }
+
+  // FlipMove passes the status along as a prop when it renders, and calls
+  // this as animations start and finish in between.
+  setStatus(status) {
+    if (status !== this.state.status) {
+      this.setState({ status });
+    }
+  }
+
+  render() {
+    const { children } = this.props;
+
+    return typeof children === 'function'
+      ? children(this.state.status)
+      : React.Children.only(children);
+  }
+}
+
+FlipMoveItem.propTypes = {
+  children: PropTypes.oneOfType([
+    PropTypes.element,
+    PropTypes.func,
+  ]).isRequired,
+  status: PropTypes.oneOf(['entering', 'leaving', 'moving', 'idle']),
+};
+
+FlipMoveItem.defaultProps = {
+  status: 'idle',
+};
+
+export default FlipMoveItem;
@@ -0,0 +1,66 @@
+/**
+ * React Flip Move | FlipMovePresets
+ * (c) 2016-present Joshua Comeau
+ *
+ * Makes custom enter/leave presets available to the FlipMoves rendered within
+ * it, without registering them for the whole app.
+ *
+ *   <FlipMove.Presets presets={{ slide: { enter, leave } }}>
+ *     <FlipMove enterAnimation="slide" leaveAnimation="slide">...</FlipMove>
+ *   </FlipMove.Presets>
+ *
+ * Providers can be nested; the innermost preset with a given name wins.
+ */
+
+import React, { Component, PropTypes } from 'react';
+
+import { mergePresets } from './preset-registry';
+
+
+const emptyPresets = { enter: {}, leave: {} };
+
+
+class FlipMovePresets extends Component {
+  getChildContext() {
+    return {
+      flipMovePresets: mergePresets(
+        this.context.flipMovePresets || emptyPresets,
+        this.props.presets
+      ),
+    };
+  }
+
+  render() {
+    return React.Children.only(this.props.children);
+  }
+}
+
+FlipMovePresets.propTypes = {
+  children: PropTypes.element.isRequired,
+  presets: PropTypes.objectOf(PropTypes.shape({
+    enter: PropTypes.oneOfType([
+      PropTypes.shape({
+        from: PropTypes.object,
+        to: PropTypes.object,
+      }),
+      PropTypes.arrayOf(PropTypes.object),
+    ]),
+    leave: PropTypes.oneOfType([
+      PropTypes.shape({
+        from: PropTypes.object,
+        to: PropTypes.object,
+      }),
+      PropTypes.arrayOf(PropTypes.object),
+    ]),
+  })).isRequired,
+};
+
+FlipMovePresets.contextTypes = {
+  flipMovePresets: PropTypes.object,
+};
+
+FlipMovePresets.childContextTypes = {
+  flipMovePresets: PropTypes.object,
+};
+
+export default FlipMovePresets;
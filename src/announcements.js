@@ -0,0 +1,133 @@
+/**
+ * React Flip Move | announcements
+ * (c) 2016-present Joshua Comeau
+ *
+ * Describes how the list changed in an update, so that it can be announced to
+ * screen reader users (see the `announce` prop).
+ */
+
+// React.Children.toArray prefixes keys (eg. 'a' becomes '.$a'). People know
+// their children by the keys they gave them.
+const getOriginalKey = key => String(key).replace(/^\.\$/, '');
+
+/** getLongestIncreasingSubsequence
+ * @param {Array} values - a list of numbers
+ *
+ * @returns {Array} the indexes of the values that make up the longest
+ * subsequence in which every value is larger than the one before.
+ * eg. [2, 0, 1, 3] -> [1, 2, 3]
+ */
+export function getLongestIncreasingSubsequence(values) {
+  // `tails[n]` is the index of the smallest value that ends a subsequence of
+  // length n + 1. `previous` lets us walk back through the longest one.
+  const tails = [];
+  const previous = [];
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+
+    while (low < high) {
+      const middle = Math.floor((low + high) / 2);
+
+      if (values[tails[middle]] < value) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const subsequence = [];
+  let index = tails.length > 0 ? tails[tails.length - 1] : -1;
+
+  while (index !== -1) {
+    subsequence.unshift(index);
+    index = previous[index];
+  }
+
+  return subsequence;
+}
+
+/** diffChildren
+ * @param {Array} previousChildren - the children that were in the list
+ * @param {Array} nextChildren - the children that are in it now
+ *
+ * @returns {Object} { added, removed, moved }, each a list of
+ * { key, element, position }. Positions are in the new list, starting from 1
+ * (removed children don't have one).
+ *
+ * When one child is moved to the other end of the list, every child in
+ * between shifts along by one. Only the child that was moved is reported:
+ * the most children that kept their order relative to each other stay put.
+ */
+export function diffChildren(previousChildren, nextChildren) {
+  const previousKeys = previousChildren.map(child => child.key);
+  const nextKeys = nextChildren.map(child => child.key);
+
+  const describeChild = (element, position) => ({
+    key: getOriginalKey(element.key),
+    element,
+    position,
+  });
+
+  const added = [];
+  const kept = [];
+
+  nextChildren.forEach((element, index) => {
+    if (previousKeys.indexOf(element.key) === -1) {
+      added.push(describeChild(element, index + 1));
+    } else {
+      kept.push(describeChild(element, index + 1));
+    }
+  });
+
+  const removed = previousChildren
+    .filter(element => nextKeys.indexOf(element.key) === -1)
+    .map(element => describeChild(element));
+
+  const stayedPut = getLongestIncreasingSubsequence(
+    kept.map(({ element }) => previousKeys.indexOf(element.key))
+  );
+
+  const moved = kept.filter((change, index) => stayedPut.indexOf(index) === -1);
+
+  return { added, removed, moved };
+}
+
+const describeChanges = (changes, verb, withPosition) => {
+  if (changes.length === 0) {
+    return null;
+  }
+
+  if (changes.length > 1) {
+    return `${changes.length} items ${verb}`;
+  }
+
+  const [{ key, position }] = changes;
+
+  return withPosition
+    ? `Item ${key} ${verb} to position ${position}`
+    : `Item ${key} ${verb}`;
+};
+
+/** formatAnnouncement
+ * The default (English) message for a set of changes, eg.
+ * 'Item c moved to position 3' or '2 items removed. Item f added'.
+ *
+ * @param {Object} changes - needs shape { added, removed, moved }
+ *
+ * @returns {String}
+ */
+export function formatAnnouncement({ added, removed, moved }) {
+  return [
+    describeChanges(added, 'added', false),
+    describeChanges(removed, 'removed', false),
+    describeChanges(moved, 'moved', true),
+  ]
+    .filter(message => !!message)
+    .join('. ');
+}
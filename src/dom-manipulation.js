@@ -74,6 +74,8 @@ export const getRelativeBoundingBox = ({
  * @param {Object} parentData - needs shape { domNode, boundingBox }
  * @param {Function} getPosition - the function called to get bounding boxes
  * for a DOM node. Defaults to `getBoundingClientRect`.
+ * @param {Array} scrollDelta - how far the parent's content has scrolled, on
+ * each axis, since `childData.boundingBox` was measured.
  *
  * @returns [{Number: left}, {Number: top}]
  */
@@ -81,6 +83,7 @@ export const getPositionDelta = ({
   childData,
   parentData,
   getPosition,
+  scrollDelta = [0, 0],
 }) => {
   // TEMP: A mystery bug is sometimes causing unnecessary boundingBoxes to
   // remain. Until this bug can be solved, this band-aid fix does the job:
@@ -93,11 +96,12 @@ export const getPositionDelta = ({
   // Our new box is the new final resting place: Where we expect it to wind up
   // after the animation. First we get the box in absolute terms (AKA relative
   // to the viewport), and then we calculate its relative box (relative to the
-  // parent container)
+  // parent container). Scrolling the parent moves the child within it, but
+  // that isn't something we should animate.
   const newAbsoluteBox = getPosition(childData.domNode);
   const newRelativeBox = {
-    top: newAbsoluteBox.top - parentData.boundingBox.top,
-    left: newAbsoluteBox.left - parentData.boundingBox.left,
+    top: (newAbsoluteBox.top - parentData.boundingBox.top) + scrollDelta[1],
+    left: (newAbsoluteBox.left - parentData.boundingBox.left) + scrollDelta[0],
   };
 
   return [
@@ -107,6 +111,37 @@ export const getPositionDelta = ({
 };
 
 
+/** getScaleDelta
+ * The size equivalent of getPositionDelta. This method returns how much an
+ * element needs to be scaled by, on each axis, to appear at its old size.
+ *
+ * @param {Object} childData - needs shape { domNode, boundingBox }
+ * @param {Function} getPosition - the function called to get bounding boxes
+ * for a DOM node. Defaults to `getBoundingClientRect`.
+ *
+ * @returns [{Number: scaleX}, {Number: scaleY}]
+ */
+export const getScaleDelta = ({
+  childData,
+  getPosition,
+}) => {
+  const oldBox = childData.boundingBox;
+  const newBox = getPosition(childData.domNode);
+
+  // An element that has no size can't be scaled back up. Nor can one that
+  // had none be scaled down to it, since its contents couldn't be
+  // counter-scaled.
+  if (!oldBox || !oldBox.width || !oldBox.height || !newBox.width || !newBox.height) {
+    return [1, 1];
+  }
+
+  return [
+    oldBox.width / newBox.width,
+    oldBox.height / newBox.height,
+  ];
+};
+
+
 /** removeNodeFromDOMFlow
  * This method does something very sneaky: it removes a DOM node from the
  * document flow, but without actually changing its on-screen position.
@@ -119,10 +154,18 @@ export const getPositionDelta = ({
  *
  * @param {Object} domNode - the node we'll be working with
  * @param {Object} boundingBox - the node's starting position.
+ * @param {Array} scrollOffsets - how far the parent had scrolled when the
+ * starting position was measured, if the parent is what scrolls. Absolutely
+ * positioned nodes are placed relative to the parent's content, which
+ * includes the part that was scrolled out of view.
  *
  * @returns null
  */
-export const removeNodeFromDOMFlow = (childData, verticalAlignment) => {
+export const removeNodeFromDOMFlow = (
+  childData,
+  verticalAlignment,
+  scrollOffsets = [0, 0]
+) => {
   const { domNode, boundingBox } = childData;
 
   // For this to work, we have to offset any given `margin`.
@@ -147,15 +190,16 @@ export const removeNodeFromDOMFlow = (childData, verticalAlignment) => {
   const topOffset = verticalAlignment === 'bottom'
     ? boundingBox.top - boundingBox.height
     : boundingBox.top;
+  const [scrollLeft, scrollTop] = scrollOffsets;
 
   const styles = {
     transition: '',
     transform: '',
     opacity: computed.opacity,
     position: 'absolute',
-    top: `${topOffset - margins['margin-top']}px`,
-    left: `${boundingBox.left - margins['margin-left']}px`,
-    right: `${boundingBox.right - margins['margin-right']}px`,
+    top: `${(topOffset + scrollTop) - margins['margin-top']}px`,
+    left: `${(boundingBox.left + scrollLeft) - margins['margin-left']}px`,
+    right: `${(boundingBox.right - scrollLeft) - margins['margin-right']}px`,
   };
 
   applyStylesToDOMNode({ domNode, styles });
@@ -220,16 +264,401 @@ export const getNativeNode = (element) => {
   return findDOMNode(element);
 };
 
-export const createTransitionString = (index, props) => {
+/** getTransitionTiming
+ * Works out the timing for a single child's animation, taking into account
+ * the stagger props.
+ *
+ * @param {Number} index - the child's stagger index (by default, its position
+ * among the animating children; see `staggerOrder`)
+ * @param {Object} props - FlipMove's props, along with any of the child's
+ * own overrides
+ *
+ * @returns {Object} { delay, duration, easing }
+ */
+export const getTransitionTiming = (index, props) => {
   let { delay, duration } = props;
   const { staggerDurationBy, staggerDelayBy, easing } = props;
 
-  delay += index * staggerDelayBy;
-  duration += index * staggerDurationBy;
+  // Long lists shouldn't keep their last children waiting for seconds.
+  const staggerMax = typeof props.staggerMax === 'number' ? props.staggerMax : Infinity;
+
+  delay += Math.min(index * staggerDelayBy, staggerMax);
+  duration += Math.min(index * staggerDurationBy, staggerMax);
+
+  return { delay, duration, easing };
+};
+
+// These styles position a node (eg. when it's removed from the DOM flow);
+// they need to be applied immediately, never animated.
+const nonAnimatableProperties = [
+  'transition', 'display', 'position', 'top', 'left', 'right', 'bottom',
+];
+
+// Turns a camelCased style property, as used in React, into its CSS name.
+// eg. 'backgroundColor' -> 'background-color', 'msTransform' -> '-ms-transform'
+export const getCSSPropertyName = property => (
+  property
+    .replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)
+    .replace(/^ms-/, '-ms-')
+);
+
+// Shorthand properties never show up in transitionend events; the longhands
+// they set do instead. Most longhands start with the shorthand's name (eg.
+// 'padding-top' for 'padding'), but not these.
+const irregularShorthands = {
+  'border-radius': /^border-.+-radius$/,
+  'border-width': /^border-.+-width$/,
+  'border-color': /^border-.+-color$/,
+  inset: /^(top|right|bottom|left)$/,
+  gap: /^(row|column)-gap$/,
+};
+
+/** isTransitionOf
+ * @param {String} property - the CSS name of a property we transitioned
+ * @param {String} transitionedProperty - the `propertyName` of a
+ * transitionend event
+ *
+ * @returns {Boolean} whether the event belongs to the property's transition
+ */
+export const isTransitionOf = (property, transitionedProperty) => (
+  transitionedProperty === property ||
+  transitionedProperty.indexOf(`${property}-`) === 0 ||
+  (!!irregularShorthands[property] && irregularShorthands[property].test(transitionedProperty))
+);
+
+/** createTransitionString
+ * @param {Object} timing - needs shape { delay, duration, easing }
+ * @param {Array} properties - the camelCased style properties to transition
+ *
+ * @returns {String} eg. 'transform 350ms ease-in-out 0ms, opacity ...'
+ */
+export const createTransitionString = (
+  { delay, duration, easing },
+  properties = ['transform', 'opacity']
+) => (
+  properties
+    .filter(property => nonAnimatableProperties.indexOf(property) === -1)
+    .map(property => `${getCSSPropertyName(property)} ${duration}ms ${easing} ${delay}ms`)
+    .join(', ')
+);
+
+// Spring timing relies on the `linear()` easing function.
+export const linearEasingSupported = () => (
+  typeof CSS !== 'undefined' &&
+  typeof CSS.supports === 'function' &&
+  CSS.supports('transition-timing-function', 'linear(0, 1)')
+);
+
+export const webAnimationsSupported = () => (
+  typeof Element !== 'undefined' &&
+  typeof Element.prototype.animate === 'function'
+);
+
+// Users can ask their OS to minimise non-essential motion. The query lets us
+// check this, and listen for changes.
+export const getReducedMotionQuery = () => (
+  typeof window !== 'undefined' && typeof window.matchMedia === 'function'
+    ? window.matchMedia('(prefers-reduced-motion: reduce)')
+    : null
+);
+
+/** getContainerScale
+ * Transforms on the container or its ancestors (eg. `scale()` on a zoomable
+ * canvas) change how big things look on screen, but not the CSS pixels we
+ * move them by. Comparing the container's size on screen to its layout size
+ * tells us the difference.
+ *
+ * @param {Object} domNode - the container
+ * @param {Function} getPosition - the function called to get bounding boxes
+ * for a DOM node. Defaults to `getBoundingClientRect`.
+ *
+ * @returns [{Number: scaleX}, {Number: scaleY}]
+ */
+export const getContainerScale = (domNode, getPosition) => {
+  const { width, height } = getPosition(domNode);
+  const { offsetWidth, offsetHeight } = domNode;
+
+  // Layout sizes are rounded to whole pixels, so a difference of less than
+  // one isn't a scale. An axis without a size takes the other's scale.
+  const getScale = (size, layoutSize) => (
+    layoutSize > 0 && Math.abs(size - layoutSize) >= 1 ? size / layoutSize : 1
+  );
+
+  const scaleX = getScale(width, offsetWidth);
+  const scaleY = getScale(height, offsetHeight);
+
+  return [
+    offsetWidth > 0 ? scaleX : scaleY,
+    offsetHeight > 0 ? scaleY : scaleX,
+  ];
+};
+
+/** unscaleBox
+ * Converts a bounding box from on-screen pixels to the CSS pixels of a
+ * scaled container.
+ *
+ * @param {Object} box - a bounding box, as returned by getBoundingClientRect
+ * @param {Array} scale - the container's scale, as [scaleX, scaleY]
+ *
+ * @returns {Object} the box, with its position and size divided by the scale
+ */
+export const unscaleBox = (box, [scaleX, scaleY]) => {
+  if (scaleX === 1 && scaleY === 1) {
+    return box;
+  }
+
+  return {
+    top: box.top / scaleY,
+    left: box.left / scaleX,
+    right: box.right / scaleX,
+    bottom: box.bottom / scaleY,
+    width: box.width / scaleX,
+    height: box.height / scaleY,
+  };
+};
+
+// How far an element (or, for null, the window) has scrolled, as [x, y].
+export const getScrollOffsets = scrollContainer => (
+  scrollContainer
+    ? [scrollContainer.scrollLeft, scrollContainer.scrollTop]
+    : [window.pageXOffset, window.pageYOffset]
+);
+
+// Focus falls back to the body when the focused element is taken out of the
+// document (which React does while re-ordering nodes, too).
+export const hasLostFocus = () => (
+  !document.activeElement || document.activeElement === document.body
+);
+
+const focusableSelector = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  '[contenteditable]',
+  '[tabindex]',
+].join(', ');
+
+/** focusNode
+ * Moves focus to a node, or to the first thing inside it that can take it.
+ * If nothing can, the node itself is made focusable (but not tabbable) until
+ * it loses focus again, so that keyboard users don't lose their place. The
+ * page isn't scrolled to bring it into view; it's where the user just was.
+ *
+ * @param {Object} domNode - the node to move focus to
+ * @param {Boolean} searchDescendants - whether something inside the node
+ * may take focus instead
+ */
+export const focusNode = (domNode, searchDescendants = true) => {
+  let target = domNode;
+
+  if (!target.matches(focusableSelector)) {
+    target = searchDescendants ? domNode.querySelector(focusableSelector) : null;
+  }
+
+  if (!target) {
+    target = domNode;
+    target.setAttribute('tabindex', '-1');
 
-  const cssProperties = ['transform', 'opacity'];
+    const removeTabIndex = () => {
+      target.removeAttribute('tabindex');
+      target.removeEventListener('blur', removeTabIndex);
+    };
+
+    target.addEventListener('blur', removeTabIndex);
+  }
+
+  target.focus({ preventScroll: true });
+};
+
+// Hidden visually, but not from screen readers.
+const visuallyHiddenStyles = {
+  position: 'absolute',
+  width: '1px',
+  height: '1px',
+  margin: '-1px',
+  padding: '0',
+  border: '0',
+  overflow: 'hidden',
+  clip: 'rect(0 0 0 0)',
+  whiteSpace: 'nowrap',
+};
+
+/** createLiveRegion
+ * Adds an aria-live region to the end of the page, for messages to screen
+ * readers. It's kept out of the container, so that it isn't mistaken for one
+ * of the children (eg. by `:last-child` selectors).
+ *
+ * @returns {Object} the region's DOM node
+ */
+export const createLiveRegion = () => {
+  const region = document.createElement('div');
+
+  region.setAttribute('role', 'status');
+  region.setAttribute('aria-live', 'polite');
+  region.setAttribute('aria-atomic', 'true');
+  applyStylesToDOMNode({ domNode: region, styles: visuallyHiddenStyles });
+
+  document.body.appendChild(region);
+
+  return region;
+};
+
+export const removeLiveRegion = (region) => {
+  if (region && region.parentNode) {
+    region.parentNode.removeChild(region);
+  }
+};
+
+/** announceInLiveRegion
+ * Screen readers only announce a live region when its content changes. So
+ * that a message is read out again when it's repeated, every other repeat
+ * gets an (invisible) non-breaking space at the end.
+ *
+ * @param {Object} region - a live region, from createLiveRegion
+ * @param {String} message - what screen readers should say
+ */
+export const announceInLiveRegion = (region, message) => {
+  // eslint-disable-next-line no-param-reassign
+  region.textContent = region.textContent === message
+    ? `${message}\u00A0`
+    : message;
+};
+
+export const isRightToLeft = domNode => (
+  !!domNode && window.getComputedStyle(domNode).direction === 'rtl'
+);
+
+export const getComputedStyleValues = (domNode, properties) => {
+  const computed = window.getComputedStyle(domNode);
+
+  return properties.reduce((acc, property) => ({
+    ...acc,
+    [property]: computed[property],
+  }), {});
+};
+
+/** getOwnStyles
+ * Captures the transform and transition a node has of its own (from a
+ * stylesheet, or inline through React), before we apply any of ours.
+ *
+ * @param {Object} domNode - the node we'll be working with
+ *
+ * @returns {Object} the computed transform and transition, or empty strings
+ * if there are none, along with the original inline values under `inline`.
+ */
+export const getOwnStyles = (domNode) => {
+  const computed = window.getComputedStyle(domNode);
+
+  // Nodes without a transition still have a computed one ('all 0s ...').
+  const hasTransition = computed.transitionDuration
+    .split(',')
+    .some(duration => parseFloat(duration) > 0);
+
+  return {
+    transform: computed.transform !== 'none' ? computed.transform : '',
+    transition: hasTransition ? computed.transition : '',
+    inline: {
+      transform: domNode.style.transform,
+      transition: domNode.style.transition,
+    },
+  };
+};
+
+/** composeStyles
+ * Combines the styles we're about to apply with a node's own styles, rather
+ * than overwriting them.
+ *   - Our transform is applied on top of the node's own one.
+ *   - Our transitions are added after the node's own ones, so ours win for
+ *     the properties we animate.
+ *   - Resetting the transform (an empty string) restores the original.
+ *   - Resetting the transition suppresses the node's own, since whatever we
+ *     apply next (eg. the 'Invert' offset) must not be animated.
+ *
+ * @param {Object} styles - the styles we want to apply
+ * @param {Object} ownStyles - the node's own styles, from `getOwnStyles`
+ *
+ * @returns {Object} the styles to apply instead
+ */
+export const composeStyles = (styles, ownStyles) => {
+  const composed = { ...styles };
+
+  if (typeof styles.transform !== 'undefined') {
+    composed.transform = styles.transform && styles.transform !== 'none'
+      ? `${styles.transform} ${ownStyles.transform}`.trim()
+      : ownStyles.inline.transform;
+  }
+
+  if (typeof styles.transition !== 'undefined') {
+    if (styles.transition) {
+      composed.transition = [ownStyles.transition, styles.transition]
+        .filter(transition => !!transition)
+        .join(', ');
+    } else {
+      composed.transition = ownStyles.transition ? 'none' : '';
+    }
+  }
 
-  return cssProperties
-    .map(prop => `${prop} ${duration}ms ${easing} ${delay}ms`)
-    .join(', ');
+  return composed;
+};
+
+const getKeyframeTiming = ({ offset, easing }) => ({
+  ...(typeof offset === 'number' ? { offset } : {}),
+  ...(easing ? { easing } : {}),
+});
+
+/** animateDOMNode
+ * The Web Animations equivalent of applying the 'from' styles, waiting a
+ * frame, and then applying the 'to' styles with a transition.
+ *
+ * Both sets of styles are applied inline, and resolved through
+ * `getComputedStyle`, so that the keyframes hold concrete values (empty
+ * strings, which we use to reset a style, aren't valid keyframe values).
+ * The 'to' styles remain applied inline once the animation has finished.
+ *
+ * @param {Object} domNode - the node we'll be working with
+ * @param {Object} fromStyles - the starting styles ('Invert')
+ * @param {Object} toStyles - the final styles ('Play')
+ * @param {Array} keyframes - for multi-step animations, the full list of
+ * keyframes. The steps in between the first and last are used as-is.
+ * @param {Object} timing - needs shape { delay, duration, easing }
+ *
+ * @returns {Animation} the running animation
+ */
+export const animateDOMNode = ({
+  domNode,
+  fromStyles = {},
+  toStyles,
+  keyframes = null,
+  timing,
+}) => {
+  const properties = Object.keys({ ...fromStyles, ...toStyles })
+    .filter(property => nonAnimatableProperties.indexOf(property) === -1);
+
+  applyStylesToDOMNode({ domNode, styles: fromStyles });
+  const fromKeyframe = getComputedStyleValues(domNode, properties);
+
+  applyStylesToDOMNode({ domNode, styles: toStyles });
+  const toKeyframe = getComputedStyleValues(domNode, properties);
+
+  // The first and last steps of a multi-step animation keep their own offset
+  // and easing, if they have any.
+  const steps = keyframes ? [
+    { ...fromKeyframe, ...getKeyframeTiming(keyframes[0]) },
+    ...keyframes.slice(1, -1),
+    { ...toKeyframe, ...getKeyframeTiming(keyframes[keyframes.length - 1]) },
+  ] : [fromKeyframe, toKeyframe];
+
+  // `fill: backwards` keeps the 'from' keyframe applied during any delay.
+  const { delay, duration, easing } = timing;
+
+  return domNode.animate(steps, {
+    delay,
+    duration,
+    easing,
+    fill: 'backwards',
+  });
 };
@@ -23,6 +23,42 @@
      from: { transform: 'scaleX(0)', transformOrigin: 'left center' },
      to: { transform: '', transformOrigin: 'left center' },
    },
+   slideLeft: {
+     from: { transform: 'translateX(-100%)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   slideRight: {
+     from: { transform: 'translateX(100%)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   slideTop: {
+     from: { transform: 'translateY(-100%)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   slideBottom: {
+     from: { transform: 'translateY(100%)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   zoomIn: {
+     from: { transform: 'scale(0.5)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   zoomOut: {
+     from: { transform: 'scale(1.5)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   flipX: {
+     from: { transform: 'perspective(600px) rotateX(-90deg)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   flipY: {
+     from: { transform: 'perspective(600px) rotateY(-90deg)', opacity: 0 },
+     to: { transform: '', opacity: '' },
+   },
+   blur: {
+     from: { filter: 'blur(10px)', opacity: 0 },
+     to: { filter: '', opacity: '' },
+   },
    none: false,
  };
 
@@ -43,6 +79,42 @@
      from: { transform: 'scaleX(1)', transformOrigin: 'left center' },
      to: { transform: 'scaleX(0)', transformOrigin: 'left center' },
    },
+   slideLeft: {
+     from: { transform: 'translateX(0)', opacity: 1 },
+     to: { transform: 'translateX(-100%)', opacity: 0 },
+   },
+   slideRight: {
+     from: { transform: 'translateX(0)', opacity: 1 },
+     to: { transform: 'translateX(100%)', opacity: 0 },
+   },
+   slideTop: {
+     from: { transform: 'translateY(0)', opacity: 1 },
+     to: { transform: 'translateY(-100%)', opacity: 0 },
+   },
+   slideBottom: {
+     from: { transform: 'translateY(0)', opacity: 1 },
+     to: { transform: 'translateY(100%)', opacity: 0 },
+   },
+   zoomIn: {
+     from: { transform: 'scale(1)', opacity: 1 },
+     to: { transform: 'scale(0.5)', opacity: 0 },
+   },
+   zoomOut: {
+     from: { transform: 'scale(1)', opacity: 1 },
+     to: { transform: 'scale(1.5)', opacity: 0 },
+   },
+   flipX: {
+     from: { transform: 'perspective(600px) rotateX(0deg)', opacity: 1 },
+     to: { transform: 'perspective(600px) rotateX(90deg)', opacity: 0 },
+   },
+   flipY: {
+     from: { transform: 'perspective(600px) rotateY(0deg)', opacity: 1 },
+     to: { transform: 'perspective(600px) rotateY(90deg)', opacity: 0 },
+   },
+   blur: {
+     from: { filter: 'blur(0)', opacity: 1 },
+     to: { filter: 'blur(10px)', opacity: 0 },
+   },
    none: false,
  };
 
@@ -56,5 +128,14 @@
  leavePresets.accordianHorizontal = leavePresets.accordionHorizontal;
 
 
+// 'start' and 'end' follow the direction of the text, like their CSS
+// counterparts (eg. `margin-inline-start`). FlipMove picks the `ltr` or `rtl`
+// version once it knows the direction of the container.
+ enterPresets.slideStart = { ltr: enterPresets.slideLeft, rtl: enterPresets.slideRight };
+ enterPresets.slideEnd = { ltr: enterPresets.slideRight, rtl: enterPresets.slideLeft };
+ leavePresets.slideStart = { ltr: leavePresets.slideLeft, rtl: leavePresets.slideRight };
+ leavePresets.slideEnd = { ltr: leavePresets.slideRight, rtl: leavePresets.slideLeft };
+
+
  export const defaultPreset = 'elevator';
  export const disablePreset = 'none';
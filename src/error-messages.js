@@ -3,7 +3,7 @@ export const statelessFunctionalComponentSupplied = () => `
 
 You provided a stateless functional component as a child to <FlipMove>. Unfortunately, SFCs aren't supported, because Flip Move needs access to the backing instances via refs, and SFCs don't have a public instance that holds that info.
 
-Please wrap your components in a native element (eg. <div>), or a non-functional component.
+Please wrap your components in a <FlipMove.Item>, which gives Flip Move access to their DOM nodes without rendering an extra element. Alternatively, wrap them in a native element (eg. <div>), or a non-functional component.
 `;
 
 export const invalidTypeForTimingProp = ({
@@ -37,3 +37,63 @@ The enter/leave preset you provided is invalid. We don't currently have a '${val
 
 Acceptable values are ${acceptableValues}. The default value of '${defaultValue}' will be used.
 `;
+
+export const invalidTimingType = ({
+  value,
+  acceptableValues,
+}) => `
+>> Error, via react-flip-move <<
+
+The 'timing' prop you provided has an invalid type of '${value}'. Acceptable values are ${acceptableValues}.
+
+As a result, the 'duration' and 'easing' props will be used instead.
+`;
+
+export const invalidSpringValue = ({
+  prop,
+  value,
+  defaultValue,
+}) => `
+>> Error, via react-flip-move <<
+
+The spring '${prop}' you provided in the 'timing' prop is invalid. It needs to be a positive number, or a string that can be resolved to a number. The value you provided is '${value}'.
+
+As a result, the default value for this parameter will be used, which is '${defaultValue}'.
+`;
+
+export const springIgnoresTimingProps = ({ ignoredProps }) => `
+>> Warning, via react-flip-move <<
+
+The 'timing' prop replaces 'duration' and 'easing' with a spring, for every child. As a result, the following are ignored: ${ignoredProps.join(', ')}.
+
+Their 'delay' and stagger values still apply. To change how a child moves, adjust the spring instead.
+`;
+
+export const invalidPresetRegistration = ({ name }) => `
+>> Error, via react-flip-move <<
+
+The preset '${name}' you tried to register is invalid, and has been ignored. Presets need a name (other than 'none'), and an 'enter' and/or 'leave' animation, each with 'from' and 'to' styles.
+`;
+
+export const builtInPresetRegistration = ({ name }) => `
+>> Error, via react-flip-move <<
+
+'${name}' is the name of a built-in preset, which can't be replaced. The preset you tried to register has been ignored; please register it under a different name.
+`;
+
+export const invalidKeyframes = ({
+  numOfKeyframes,
+  defaultValue,
+}) => `
+>> Error, via react-flip-move <<
+
+The keyframes you provided for an enter/leave animation are invalid. At least two keyframes are needed, but you provided ${numOfKeyframes}.
+
+The default value of '${defaultValue}' will be used.
+`;
+
+export const finishedPromiseInterrupted = ({ interruptedBy }) => `
+>> Warning, via react-flip-move <<
+
+The animations you were waiting on with 'finished()' were interrupted by ${interruptedBy}, so they won't finish as planned.
+`;
@@ -33,3 +33,66 @@ export function arraysEqual(a, b) {
 
   return a.every((element, index) => element === b[index]);
 }
+
+/** getRemainingTiming
+ * Works out how much of an in-flight animation is left, so that a refreshed
+ * animation can finish when the original one would have.
+ *
+ * @param {Object} inFlight - needs shape { startedAt, delay, duration }
+ * @param {Number} now - the current timestamp, in ms
+ *
+ * @returns {Object} { delay, duration }
+ */
+export function getRemainingTiming(inFlight, now) {
+  const elapsed = now - inFlight.startedAt;
+
+  return {
+    delay: Math.max(inFlight.delay - elapsed, 0),
+    duration: Math.max(
+      inFlight.duration - Math.max(elapsed - inFlight.delay, 0),
+      0
+    ),
+  };
+}
+
+/** getContinuedMoveDuration
+ * When a move is interrupted, the item carries on from wherever it currently
+ * is. To avoid it slowing down, we keep the speed it was moving at, so the
+ * duration is proportional to the distance it has left to travel.
+ *
+ * @param {Number} distance - the distance, in px, to the new destination
+ * @param {Number} speed - the speed of the interrupted move, in px/ms
+ * @param {Number} maxDuration - the duration of an uninterrupted move
+ *
+ * @returns {Number} the duration, in ms
+ */
+export function getContinuedMoveDuration(distance, speed, maxDuration) {
+  if (!speed) {
+    return maxDuration;
+  }
+
+  return Math.min(Math.round(distance / speed), maxDuration);
+}
+
+export function getDistance([dX, dY]) {
+  return Math.sqrt((dX * dX) + (dY * dY));
+}
+
+/** convertKeyframes
+ * Multi-step animations are described as a list of keyframes. Most of
+ * FlipMove only needs the first and last steps, as `from` and `to` styles;
+ * the full list is kept for the Web Animations API, which runs it.
+ *
+ * @param {Array} keyframes - eg. [{ opacity: 0 }, { offset: 0.6, ... }, ...]
+ *
+ * @returns {Object} { from, to, keyframes }
+ */
+export function convertKeyframes(keyframes) {
+  const getStyles = keyframe => omit(keyframe, ['offset', 'easing']);
+
+  return {
+    from: getStyles(keyframes[0]),
+    to: getStyles(keyframes[keyframes.length - 1]),
+    keyframes,
+  };
+}
@@ -0,0 +1,126 @@
+/**
+ * React Flip Move | presetRegistry
+ * (c) 2016-present Joshua Comeau
+ *
+ * Custom enter/leave presets, on top of the built-in ones. They can be added
+ * for every FlipMove with `registerPreset` (and removed with
+ * `unregisterPreset`), or for part of the tree only with a <FlipMove.Presets>
+ * provider (see FlipMovePresets.js).
+ */
+
+import { enterPresets, leavePresets, disablePreset } from './enter-leave-presets';
+import {
+  invalidPresetRegistration,
+  builtInPresetRegistration,
+} from './error-messages';
+
+
+// Presets registered with `registerPreset`. They're kept apart from the
+// built-in ones, which can't be replaced (other features rely on them).
+const registeredPresets = { enter: {}, leave: {} };
+
+
+// The 'none' preset is how animations are disabled, so it can't be replaced.
+// Animations either have `from` and `to` styles, a list of keyframes, or, if
+// they depend on the direction of the text, an `ltr` and an `rtl` animation.
+function isValidPreset(name, preset) {
+  const isValidAnimation = animation => (
+    typeof animation === 'undefined' ||
+    (Array.isArray(animation) && animation.length >= 2) || (
+      typeof animation === 'object' &&
+      animation !== null &&
+      ((!!animation.from && !!animation.to) || (!!animation.ltr && !!animation.rtl))
+    )
+  );
+
+  return (
+    typeof name === 'string' &&
+    name !== disablePreset &&
+    !!preset &&
+    (!!preset.enter || !!preset.leave) &&
+    isValidAnimation(preset.enter) &&
+    isValidAnimation(preset.leave)
+  );
+}
+
+
+function addPreset(registry, name, preset) {
+  if (!isValidPreset(name, preset)) {
+    console.error(invalidPresetRegistration({ name }));
+    return;
+  }
+
+  if (preset.enter) {
+    // eslint-disable-next-line no-param-reassign
+    registry.enter[name] = preset.enter;
+  }
+
+  if (preset.leave) {
+    // eslint-disable-next-line no-param-reassign
+    registry.leave[name] = preset.leave;
+  }
+}
+
+
+/** registerPreset
+ * Makes a custom enter/leave animation available by name, to every FlipMove.
+ * Either half can be left out, for animations that only work one way.
+ *
+ * @param {String} name - the name to use in `enterAnimation`/`leaveAnimation`
+ * @param {Object} preset - needs shape { enter, leave }, where both have shape
+ * { from, to }
+ */
+export function registerPreset(name, preset) {
+  if (enterPresets[name] || leavePresets[name]) {
+    console.error(builtInPresetRegistration({ name }));
+    return;
+  }
+
+  addPreset(registeredPresets, name, preset);
+}
+
+
+/** unregisterPreset
+ * Removes a preset added with `registerPreset`. Built-in presets can't be
+ * removed.
+ *
+ * @param {String} name - the name the preset was registered with
+ */
+export function unregisterPreset(name) {
+  delete registeredPresets.enter[name];
+  delete registeredPresets.leave[name];
+}
+
+
+/** getGlobalPresets
+ * @returns {Object} { enter, leave }, each a map of names to animations:
+ * the built-in presets, along with any registered with `registerPreset`.
+ */
+export function getGlobalPresets() {
+  return {
+    enter: { ...enterPresets, ...registeredPresets.enter },
+    leave: { ...leavePresets, ...registeredPresets.leave },
+  };
+}
+
+
+/** mergePresets
+ * Adds a set of presets on top of another, for scoped registries.
+ *
+ * @param {Object} base - needs shape { enter, leave }, each a map of
+ * names to animations
+ * @param {Object} presets - a map of names to presets, eg.
+ * { slide: { enter, leave } }
+ *
+ * @returns {Object} { enter, leave }
+ */
+export function mergePresets(base, presets = {}) {
+  const merged = {
+    enter: { ...base.enter },
+    leave: { ...base.leave },
+  };
+
+  Object.keys(presets).forEach(name => addPreset(merged, name, presets[name]));
+
+  return merged;
+}
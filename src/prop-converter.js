@@ -9,6 +9,8 @@
  *   - Children conversion (we need the children to be an array. May not always
  *     be, if a single child is passed in.)
  *   - Resolving animation presets into their base CSS styles
+ *   - Filling in the separate move/enter/leave timings from the main ones
+ *   - Applying the above to any per-child overrides (the `flipMove` prop)
  */
 
 import React, { Component, PropTypes } from 'react';
@@ -18,15 +20,76 @@ import {
   invalidTypeForTimingProp,
   invalidEnterLeavePreset,
   deprecatedDisableAnimations,
+  invalidTimingType,
+  invalidSpringValue,
+  invalidKeyframes,
+  springIgnoresTimingProps,
 } from './error-messages';
-import {
-  enterPresets, leavePresets, defaultPreset, disablePreset,
-} from './enter-leave-presets';
-import { isElementAnSFC, omit } from './helpers';
+import { defaultPreset, disablePreset } from './enter-leave-presets';
+import { getGlobalPresets } from './preset-registry';
+import { defaultSpring } from './spring';
+import { staggerOrders } from './stagger';
+import { convertKeyframes, isElementAnSFC, omit } from './helpers';
+
+
+const timingValuePropType = PropTypes.oneOfType([
+  PropTypes.string,
+  PropTypes.number,
+]);
+
+const phaseTimingPropType = PropTypes.shape({
+  duration: timingValuePropType,
+  delay: timingValuePropType,
+  easing: PropTypes.string,
+  staggerDurationBy: timingValuePropType,
+  staggerDelayBy: timingValuePropType,
+});
+
+// eg. ['enterTiming.duration', 'flipMove.easing']
+function getPropsIgnoredBySpring(props, children) {
+  const ignoredProps = [];
 
+  ['moveTiming', 'enterTiming', 'leaveTiming'].forEach((prop) => {
+    ['duration', 'easing'].forEach((key) => {
+      if (props[prop] && typeof props[prop][key] !== 'undefined') {
+        ignoredProps.push(`${prop}.${key}`);
+      }
+    });
+  });
+
+  ['duration', 'easing'].forEach((key) => {
+    const isOverridden = children.some(child => (
+      child.props &&
+      child.props.flipMove &&
+      typeof child.props.flipMove[key] !== 'undefined'
+    ));
+
+    if (isOverridden) {
+      ignoredProps.push(`flipMove.${key}`);
+    }
+  });
+
+  return ignoredProps;
+}
 
 function propConverter(ComposedComponent) {
   class FlipMovePropConverter extends Component {
+    // Presets registered with a <FlipMove.Presets> take precedence over the
+    // global ones.
+    getPresets() {
+      const scoped = this.context.flipMovePresets;
+      const presets = getGlobalPresets();
+
+      if (!scoped) {
+        return presets;
+      }
+
+      return {
+        enter: { ...presets.enter, ...scoped.enter },
+        leave: { ...presets.leave, ...scoped.leave },
+      };
+    }
+
     convertProps(props) {
       const { propTypes, defaultProps } = FlipMovePropConverter;
 
@@ -51,7 +114,7 @@ function propConverter(ComposedComponent) {
 
       // Do string-to-int conversion for all timing-related props
       const timingPropNames = [
-        'duration', 'delay', 'staggerDurationBy', 'staggerDelayBy',
+        'duration', 'delay', 'staggerDurationBy', 'staggerDelayBy', 'staggerMax',
       ];
 
       timingPropNames.forEach((prop) => {
@@ -75,15 +138,63 @@ function propConverter(ComposedComponent) {
         workingProps[prop] = value;
       });
 
+      // Moves, enters and leaves can each have their own timing. Whatever
+      // they don't specify is taken from the props above.
+      ['moveTiming', 'enterTiming', 'leaveTiming'].forEach((prop) => {
+        if (workingProps[prop]) {
+          workingProps[prop] = this.convertPhaseTimingProp(
+            prop, workingProps[prop], workingProps
+          );
+        }
+      });
+
+      // A `timing` object swaps `duration` and `easing` for spring physics.
+      if (workingProps.timing) {
+        workingProps.timing = this.convertTimingProp(workingProps.timing);
+      }
+
       // Our enter/leave animations can be specified as boolean (default or
       // disabled), string (preset name), or object (actual animation values).
       // Let's standardize this so that they're always objects
+      const presets = this.getPresets();
+
       workingProps.enterAnimation = this.convertAnimationProp(
-        workingProps.enterAnimation, enterPresets
+        workingProps.enterAnimation, presets.enter
       );
       workingProps.leaveAnimation = this.convertAnimationProp(
-        workingProps.leaveAnimation, leavePresets
+        workingProps.leaveAnimation, presets.leave
       );
+      workingProps.appearAnimation = this.convertAnimationProp(
+        workingProps.appearAnimation, presets.enter
+      );
+
+      // The spring takes the place of `duration` and `easing` everywhere, so
+      // any phase timing or child override that sets them has no effect.
+      // We only warn when that list changes, rather than on every render.
+      const ignoredProps = workingProps.timing
+        ? getPropsIgnoredBySpring(props, workingProps.children)
+        : [];
+      const ignoredPropNames = ignoredProps.join(', ');
+
+      if (ignoredProps.length > 0 && ignoredPropNames !== this.propsIgnoredBySpring) {
+        console.warn(springIgnoresTimingProps({ ignoredProps }));
+      }
+
+      this.propsIgnoredBySpring = ignoredPropNames;
+
+      // Children can override some of these props for themselves, via a
+      // `flipMove` prop. Those overrides need the same conversion.
+      workingProps.children = workingProps.children.map((child) => {
+        if (!child.props || !child.props.flipMove) {
+          return child;
+        }
+
+        return React.cloneElement(child, {
+          flipMove: this.convertChildOverrides(
+            child.props.flipMove, workingProps, presets
+          ),
+        });
+      });
 
       // Accept `disableAnimations`, but add a deprecation warning
       if (typeof props.disableAnimations !== 'undefined') {
@@ -111,6 +222,139 @@ function propConverter(ComposedComponent) {
       return workingProps;
     }
 
+    // eslint-disable-next-line class-methods-use-this
+    convertTimingProp(timing) {
+      const acceptableTypes = ['spring'];
+
+      if (acceptableTypes.indexOf(timing.type) === -1) {
+        console.error(invalidTimingType({
+          value: timing.type,
+          acceptableValues: acceptableTypes.join(', '),
+        }));
+
+        return undefined;
+      }
+
+      // Like the other timing props, spring values can be supplied as
+      // strings. Missing values are filled in from the default spring.
+      const spring = { ...defaultSpring };
+
+      Object.keys(defaultSpring).forEach((prop) => {
+        const rawValue = timing[prop];
+
+        if (typeof rawValue === 'undefined') {
+          return;
+        }
+
+        const value = typeof rawValue === 'string'
+          ? parseFloat(rawValue)
+          : rawValue;
+
+        if (typeof value !== 'number' || isNaN(value) || value <= 0) {
+          console.error(invalidSpringValue({
+            prop,
+            value: rawValue,
+            defaultValue: defaultSpring[prop],
+          }));
+          return;
+        }
+
+        spring[prop] = value;
+      });
+
+      return { type: timing.type, ...spring };
+    }
+
+    // eslint-disable-next-line class-methods-use-this
+    convertPhaseTimingProp(prop, phaseTiming, containerProps) {
+      const timingKeys = [
+        'duration', 'delay', 'staggerDurationBy', 'staggerDelayBy',
+      ];
+
+      const converted = {
+        easing: phaseTiming.easing || containerProps.easing,
+      };
+
+      timingKeys.forEach((key) => {
+        const rawValue = phaseTiming[key];
+        const defaultValue = containerProps[key];
+
+        if (typeof rawValue === 'undefined') {
+          converted[key] = defaultValue;
+          return;
+        }
+
+        const value = typeof rawValue === 'string'
+          ? parseInt(rawValue, 10)
+          : rawValue;
+
+        if (isNaN(value)) {
+          console.error(invalidTypeForTimingProp({
+            prop: `${prop}.${key}`,
+            value,
+            defaultValue,
+          }));
+
+          converted[key] = defaultValue;
+          return;
+        }
+
+        converted[key] = value;
+      });
+
+      return converted;
+    }
+
+    convertChildOverrides(overrides, containerProps, presets) {
+      const converted = { ...overrides };
+
+      // Invalid timing values fall back to the container's, rather than to
+      // our defaults.
+      ['duration', 'delay'].forEach((prop) => {
+        const rawValue = overrides[prop];
+
+        if (typeof rawValue === 'undefined') {
+          return;
+        }
+
+        const value = typeof rawValue === 'string'
+          ? parseInt(rawValue, 10)
+          : rawValue;
+
+        if (isNaN(value)) {
+          console.error(invalidTypeForTimingProp({
+            prop,
+            value,
+            defaultValue: containerProps[prop],
+          }));
+
+          delete converted[prop];
+          return;
+        }
+
+        converted[prop] = value;
+      });
+
+      ['enterAnimation', 'leaveAnimation'].forEach((prop) => {
+        if (typeof overrides[prop] === 'undefined') {
+          return;
+        }
+
+        converted[prop] = this.convertAnimationProp(
+          overrides[prop],
+          prop === 'enterAnimation' ? presets.enter : presets.leave
+        );
+      });
+
+      // A disabled child doesn't move, enter or leave with an animation.
+      if (overrides.disabled) {
+        converted.enterAnimation = presets.enter[disablePreset];
+        converted.leaveAnimation = presets.leave[disablePreset];
+      }
+
+      return converted;
+    }
+
     // eslint-disable-next-line class-methods-use-this
     convertAnimationProp(animation, presets) {
       let newAnimation;
@@ -147,13 +391,57 @@ function propConverter(ComposedComponent) {
         }
       }
 
-      return newAnimation;
+      // Animations that depend on the direction of the text have a version
+      // for each direction, and either could have multiple steps.
+      if (newAnimation && newAnimation.ltr) {
+        return {
+          ltr: this.convertKeyframesProp(newAnimation.ltr, presets),
+          rtl: this.convertKeyframesProp(newAnimation.rtl, presets),
+        };
+      }
+
+      return this.convertKeyframesProp(newAnimation, presets);
     }
 
+    // eslint-disable-next-line class-methods-use-this
+    convertKeyframesProp(animation, presets) {
+      if (!Array.isArray(animation)) {
+        return animation;
+      }
+
+      if (animation.length < 2) {
+        console.error(invalidKeyframes({
+          numOfKeyframes: animation.length,
+          defaultValue: defaultPreset,
+        }));
+
+        return presets[defaultPreset];
+      }
+
+      return convertKeyframes(animation);
+    }
+
+
+    // Imperative methods are called on the ref of the <FlipMove> element,
+    // which is this component. Pass them on to the real thing.
+    snapshot() {
+      return this.flipMove.snapshot();
+    }
+
+    flip() {
+      return this.flipMove.flip();
+    }
+
+    finished() {
+      return this.flipMove.finished();
+    }
 
     render() {
       return (
-        <ComposedComponent {...this.convertProps(this.props)} />
+        <ComposedComponent
+          {...this.convertProps(this.props)}
+          ref={(flipMove) => { this.flipMove = flipMove; }}
+        />
       );
     }
   }
@@ -177,10 +465,37 @@ function propConverter(ComposedComponent) {
       PropTypes.string,
       PropTypes.number,
     ]),
+    staggerOrder: PropTypes.oneOf(staggerOrders),
+    staggerFrom: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+    ]),
+    staggerMax: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+    ]),
+    moveTiming: phaseTimingPropType,
+    enterTiming: phaseTimingPropType,
+    leaveTiming: phaseTimingPropType,
+    sequence: PropTypes.bool,
+    timing: PropTypes.shape({
+      type: PropTypes.oneOf(['spring']).isRequired,
+      stiffness: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      damping: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+      mass: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+    }),
     onStart: PropTypes.func,
     onFinish: PropTypes.func,
     onStartAll: PropTypes.func,
     onFinishAll: PropTypes.func,
+    onEnterStart: PropTypes.func,
+    onEnterFinish: PropTypes.func,
+    onLeaveStart: PropTypes.func,
+    onLeaveFinish: PropTypes.func,
+    onMoveStart: PropTypes.func,
+    onMoveFinish: PropTypes.func,
+    onInterrupt: PropTypes.func,
+    onCancel: PropTypes.func,
     typeName: PropTypes.string,
     enterAnimation: PropTypes.oneOfType([
       PropTypes.string,
@@ -189,6 +504,7 @@ function propConverter(ComposedComponent) {
         from: PropTypes.object,
         to: PropTypes.object,
       }),
+      PropTypes.arrayOf(PropTypes.object),
     ]),
     leaveAnimation: PropTypes.oneOfType([
       PropTypes.string,
@@ -197,25 +513,73 @@ function propConverter(ComposedComponent) {
         from: PropTypes.object,
         to: PropTypes.object,
       }),
+      PropTypes.arrayOf(PropTypes.object),
+    ]),
+    appearAnimation: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.bool,
+      PropTypes.shape({
+        from: PropTypes.object,
+        to: PropTypes.object,
+      }),
+      PropTypes.arrayOf(PropTypes.object),
     ]),
     disableAllAnimations: PropTypes.bool,
+    engine: PropTypes.oneOf(['css', 'waapi']),
+    reducedMotion: PropTypes.oneOf(['disable', 'fade-only', 'ignore']),
+    announce: PropTypes.oneOfType([
+      PropTypes.bool,
+      PropTypes.func,
+    ]),
+    focusOnLeave: PropTypes.oneOf(['next', 'previous', 'container', 'none']),
     getPosition: PropTypes.func,
+    // eg. 0.5, [0.5, 0.25], or a function that returns either.
+    containerScale: PropTypes.oneOfType([
+      PropTypes.number,
+      PropTypes.arrayOf(PropTypes.number),
+      PropTypes.func,
+    ]),
+    compensateScroll: PropTypes.bool,
     maintainContainerHeight: PropTypes.bool.isRequired,
+    sharedKey: PropTypes.string,
+    animateSize: PropTypes.bool,
+    layoutKey: PropTypes.oneOfType([
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.bool,
+    ]),
+    counterScaleSelector: PropTypes.string,
+    preserveChildStyles: PropTypes.bool,
     verticalAlignment: PropTypes.oneOf(['top', 'bottom']).isRequired,
   };
 
+  FlipMovePropConverter.contextTypes = {
+    flipMovePresets: PropTypes.object,
+  };
+
   FlipMovePropConverter.defaultProps = {
     easing: 'ease-in-out',
     duration: 350,
     delay: 0,
     staggerDurationBy: 0,
     staggerDelayBy: 0,
+    staggerOrder: 'index',
+    staggerMax: Infinity,
+    sequence: false,
     typeName: 'div',
     enterAnimation: defaultPreset,
     leaveAnimation: defaultPreset,
+    appearAnimation: false,
     disableAllAnimations: false,
+    engine: 'css',
+    reducedMotion: 'disable',
+    announce: false,
+    focusOnLeave: 'next',
     getPosition: node => node.getBoundingClientRect(),
+    compensateScroll: true,
     maintainContainerHeight: false,
+    animateSize: false,
+    preserveChildStyles: false,
     verticalAlignment: 'top',
   };
 
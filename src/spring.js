@@ -0,0 +1,217 @@
+/**
+ * React Flip Move | spring
+ * (c) 2016-present Joshua Comeau
+ *
+ * Spring physics, used as an alternative to `duration` + `easing`.
+ *
+ * Rather than picking a duration, the spring is simulated until it comes to
+ * rest, which tells us how long the animation needs to take. The simulated
+ * curve is then handed to the browser as a `linear()` easing function.
+ *
+ * All positions are normalized: the animation progresses from 0 to 1,
+ * regardless of how many pixels the child is travelling.
+ */
+
+export const defaultSpring = {
+  stiffness: 170,
+  damping: 26,
+  mass: 1,
+};
+
+// We simulate in steps of 1ms, and give up on springs that are still
+// wobbling after 10 seconds.
+const STEP = 1;
+const MAX_DURATION = 10000;
+
+// How close to the destination the spring needs to be before we consider it
+// at rest, when we don't know how far the child travels. This is the same as
+// being within 0.5px of the end of a 100px move.
+export const defaultRestDelta = 0.005;
+
+// The number of points used to describe the curve in the `linear()` easing.
+const EASING_POINTS = 40;
+
+// Springs that start from rest are simulated once per config, closely enough
+// for a 5000px move, and cut short for shorter ones.
+const PRECISE_REST_DELTA = 0.0001;
+const restingSprings = {};
+
+
+/** simulateSpring
+ * Runs the spring from the start of the animation until it comes to rest.
+ *
+ * @param {Object} config - needs shape { stiffness, damping, mass }
+ * @param {Number} initialVelocity - in progress per second; eg. a velocity
+ * of 2 would cover the entire distance in half a second.
+ * @param {Number} restDelta - how close to 1 the progress needs to be for the
+ * spring to be at rest.
+ *
+ * @returns {Array} the progress at every millisecond of the animation.
+ */
+export function simulateSpring(
+  { stiffness, damping, mass },
+  initialVelocity = 0,
+  restDelta = defaultRestDelta
+) {
+  const dt = STEP / 1000;
+
+  // `displacement` is how far we still are from the destination, and
+  // `velocity` is how fast that is changing.
+  let displacement = 1;
+  let velocity = -initialVelocity;
+
+  const progress = [0];
+
+  while (progress.length <= MAX_DURATION / STEP) {
+    const force = (-stiffness * displacement) - (damping * velocity);
+
+    velocity += (force / mass) * dt;
+    displacement += velocity * dt;
+
+    progress.push(1 - displacement);
+
+    const isAtRest = (
+      Math.abs(displacement) < restDelta &&
+      Math.abs(velocity) < restDelta * 10
+    );
+
+    if (isAtRest) {
+      break;
+    }
+  }
+
+  // Make sure we wind up exactly at the destination.
+  progress[progress.length - 1] = 1;
+
+  return progress;
+}
+
+
+/** simulateRestingSpring
+ * The same as `simulateSpring` for a spring with no initial velocity, but
+ * only simulated the first time a given config is used.
+ *
+ * @param {Object} config - needs shape { stiffness, damping, mass }
+ *
+ * @returns {Array} the progress at every millisecond of the animation, until
+ * it comes within PRECISE_REST_DELTA of the destination. Use `settleSpring`
+ * to cut it short for a specific move.
+ */
+export function simulateRestingSpring(config) {
+  const { stiffness, damping, mass } = config;
+  const key = `${stiffness}/${damping}/${mass}`;
+
+  if (!restingSprings[key]) {
+    restingSprings[key] = simulateSpring(config, 0, PRECISE_REST_DELTA);
+  }
+
+  return restingSprings[key];
+}
+
+
+/** settleSpring
+ * @param {Array} progress - the output of simulateSpring
+ * @param {Number} restDelta - how close to 1 the progress needs to be for the
+ * spring to be at rest.
+ *
+ * @returns {Array} the progress, up until the spring stays within `restDelta`
+ * of the destination.
+ */
+export function settleSpring(progress, restDelta) {
+  let lastIndex = progress.length - 1;
+
+  while (lastIndex > 1 && Math.abs(1 - progress[lastIndex - 1]) < restDelta) {
+    lastIndex -= 1;
+  }
+
+  const settled = progress.slice(0, lastIndex + 1);
+
+  // Make sure we wind up exactly at the destination.
+  settled[lastIndex] = 1;
+
+  return settled;
+}
+
+
+/** getSpringVelocity
+ * @param {Array} progress - the output of simulateSpring
+ * @param {Number} elapsed - the time, in ms, since the animation started
+ *
+ * @returns {Number} the velocity at that time, in progress per second
+ */
+export function getSpringVelocity(progress, elapsed) {
+  const index = Math.floor(elapsed / STEP);
+
+  if (index < 0 || index >= progress.length - 1) {
+    return 0;
+  }
+
+  return ((progress[index + 1] - progress[index]) / STEP) * 1000;
+}
+
+
+/** createSpringEasing
+ * Describes the simulated curve as a CSS `linear()` easing function.
+ *
+ * @param {Array} progress - the output of simulateSpring
+ *
+ * @returns {String} eg. 'linear(0, 0.0712, 0.2365, ..., 1)'
+ */
+export function createSpringEasing(progress) {
+  const lastIndex = progress.length - 1;
+  const points = [];
+
+  for (let i = 0; i <= EASING_POINTS; i += 1) {
+    const value = progress[Math.round((i / EASING_POINTS) * lastIndex)];
+
+    points.push(Number(value.toFixed(4)));
+  }
+
+  return `linear(${points.join(', ')})`;
+}
+
+
+/** getSpringDuration
+ * @param {Array} progress - the output of simulateSpring
+ *
+ * @returns {Number} the time, in ms, that the spring takes to come to rest
+ */
+export function getSpringDuration(progress) {
+  return (progress.length - 1) * STEP;
+}
+
+
+/** carryOverVelocity
+ * When a move is interrupted, the child shouldn't lose its momentum. This
+ * works out how fast the interrupted move was going, and how much of that
+ * velocity is headed in the direction of the new move.
+ *
+ * @param {Object} interrupted - needs shape { progress, delta }, where
+ * `progress` is the simulated spring and `delta` is the [dX, dY] of the
+ * interrupted move.
+ * @param {Number} elapsed - the time, in ms, that the interrupted move ran for
+ * @param {Array} delta - the [dX, dY] of the new move
+ *
+ * @returns {Number} the initial velocity for the new move, in progress per
+ * second
+ */
+export function carryOverVelocity(interrupted, elapsed, delta) {
+  const speed = getSpringVelocity(interrupted.progress, elapsed);
+
+  // Children move from their offset back to 0, so they travel in the
+  // opposite direction of their delta.
+  const [oldX, oldY] = interrupted.delta;
+  const velocityX = -oldX * speed;
+  const velocityY = -oldY * speed;
+
+  // Project that velocity onto the new direction of travel, normalized to
+  // the new distance.
+  const [newX, newY] = delta;
+  const distanceSquared = (newX * newX) + (newY * newY);
+
+  if (distanceSquared === 0) {
+    return 0;
+  }
+
+  return ((velocityX * -newX) + (velocityY * -newY)) / distanceSquared;
+}
@@ -0,0 +1,104 @@
+/**
+ * React Flip Move | stagger
+ * (c) 2016-present Joshua Comeau
+ *
+ * Works out the order in which children start animating, when their delay
+ * and/or duration is staggered.
+ *
+ * Each animating child gets a stagger index: the number of times
+ * `staggerDelayBy` and `staggerDurationBy` are added to its timing. Children
+ * with the same index animate together.
+ */
+
+export const staggerOrders = [
+  'index', 'reverse', 'fromCenter', 'fromKey', 'byDistance', 'grid',
+];
+
+/** rankValues
+ * Turns arbitrary values (eg. distances) into consecutive indexes, so that
+ * the child with the smallest value goes first and there are no gaps
+ * between the others.
+ *
+ * @param {Array} values - a number for each child
+ *
+ * @returns {Array} eg. [40, 10, 40, 25] -> [2, 0, 2, 1]
+ */
+export function rankValues(values) {
+  const distinctValues = values
+    .filter((value, index) => values.indexOf(value) === index)
+    .sort((a, b) => a - b);
+
+  return values.map(value => distinctValues.indexOf(value));
+}
+
+const getCenter = ({ top, left, width, height }) => [
+  left + (width / 2),
+  top + (height / 2),
+];
+
+// The distance between two boxes, measured in multiples of the origin's
+// size. In a grid of equally-sized items, this is the number of rows and
+// columns between them.
+const getGridDistance = (box, originBox) => {
+  if (!box || !originBox) {
+    return 0;
+  }
+
+  const [x, y] = getCenter(box);
+  const [originX, originY] = getCenter(originBox);
+
+  return Math.round(Math.sqrt(
+    Math.pow((x - originX) / (originBox.width || 1), 2) +
+    Math.pow((y - originY) / (originBox.height || 1), 2)
+  ));
+};
+
+/** getStaggerIndexes
+ * @param {String} order - one of `staggerOrders`
+ * @param {Array} items - the animating children, in order, with shape
+ * { position, distance, box }:
+ *   - position: the child's position among all of FlipMove's children
+ *   - distance: how far the child is moving, in pixels
+ *   - box: the child's bounding box
+ * @param {Object} origin - for `fromKey` and `grid`, the child to ripple out
+ * from, with shape { position, box }
+ *
+ * @returns {Array} the stagger index of each item
+ */
+export function getStaggerIndexes(order, items, origin) {
+  switch (order) {
+    case 'reverse':
+      return items.map((item, index) => items.length - 1 - index);
+
+    case 'fromCenter': {
+      const center = (items.length - 1) / 2;
+
+      return rankValues(items.map((item, index) => Math.abs(index - center)));
+    }
+
+    case 'fromKey': {
+      // Without an origin, there's nothing to ripple out from.
+      if (!origin) {
+        return items.map((item, index) => index);
+      }
+
+      return rankValues(items.map(item => (
+        Math.abs(item.position - origin.position)
+      )));
+    }
+
+    case 'byDistance':
+      // Children that are moving the farthest go first. Sub-pixel
+      // differences aren't worth a step of their own.
+      return rankValues(items.map(item => -Math.round(item.distance)));
+
+    case 'grid': {
+      const originBox = origin ? origin.box : items.length && items[0].box;
+
+      return rankValues(items.map(item => getGridDistance(item.box, originBox)));
+    }
+
+    default:
+      return items.map((item, index) => index);
+  }
+}
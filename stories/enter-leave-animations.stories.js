@@ -1,9 +1,34 @@
 import React from 'react';
 import { storiesOf } from '@kadira/storybook';
 
+import FlipMove from '../src';
 import FlipMoveWrapper from './helpers/FlipMoveWrapper';
 import FlipMoveListItem from './helpers/FlipMoveListItem';
 
+FlipMove.registerPreset('dropIn', {
+  enter: {
+    from: { transform: 'translateY(-40px)', opacity: 0 },
+    to: { transform: '', opacity: '' },
+  },
+  leave: {
+    from: { transform: '', opacity: 1 },
+    to: { transform: 'translateY(40px)', opacity: 0 },
+  },
+});
+
+const scopedPresets = {
+  dropIn: {
+    enter: {
+      from: { transform: 'translateX(-100%)', opacity: 0 },
+      to: { transform: '', opacity: '' },
+    },
+    leave: {
+      from: { transform: '', opacity: 1 },
+      to: { transform: 'translateX(100%)', opacity: 0 },
+    },
+  },
+};
+
 ['div', FlipMoveListItem].forEach((type) => {
   const typeLabel = type === 'div' ? 'native' : 'composite';
 
@@ -19,6 +44,15 @@ import FlipMoveListItem from './helpers/FlipMoveListItem';
         applyContinuousItemUpdates
       />
     ))
+    .add('appear animation, staggered', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          appearAnimation: 'accordionVertical',
+          staggerDelayBy: 100,
+        }}
+      />
+    ))
     .add('preset - fade', () => (
       <FlipMoveWrapper
         itemType={type}
@@ -57,6 +91,70 @@ import FlipMoveListItem from './helpers/FlipMoveListItem';
         }}
       />
     ))
+    .add('preset - slideLeft', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'slideLeft',
+          leaveAnimation: 'slideLeft',
+        }}
+      />
+    ))
+    .add('preset - slideTop / slideBottom', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'slideTop',
+          leaveAnimation: 'slideBottom',
+        }}
+      />
+    ))
+    .add('preset - slideStart / slideEnd, right-to-left', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          dir: 'rtl',
+          enterAnimation: 'slideStart',
+          leaveAnimation: 'slideEnd',
+        }}
+      />
+    ))
+    .add('preset - zoomIn / zoomOut', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'zoomIn',
+          leaveAnimation: 'zoomOut',
+        }}
+      />
+    ))
+    .add('preset - flipX', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'flipX',
+          leaveAnimation: 'flipX',
+        }}
+      />
+    ))
+    .add('preset - flipY', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'flipY',
+          leaveAnimation: 'flipY',
+        }}
+      />
+    ))
+    .add('preset - blur', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'blur',
+          leaveAnimation: 'blur',
+        }}
+      />
+    ))
     .add('preset - mixed', () => (
       <FlipMoveWrapper
         itemType={type}
@@ -113,6 +211,25 @@ import FlipMoveListItem from './helpers/FlipMoveListItem';
         }}
       />
     ))
+    .add('keyframes - bounce in, overshoot out', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          duration: 800,
+          enterAnimation: [
+            { transform: 'scale(0)', opacity: 0 },
+            { offset: 0.6, transform: 'scale(1.15)', opacity: 1 },
+            { offset: 0.8, transform: 'scale(0.95)', opacity: 1 },
+            { transform: '' },
+          ],
+          leaveAnimation: [
+            { transform: 'translateY(0)', opacity: 1 },
+            { offset: 0.3, transform: 'translateY(-15px)', opacity: 1 },
+            { transform: 'translateY(100px)', opacity: 0 },
+          ],
+        }}
+      />
+    ))
     .add('boolean - `false` enter (disabled enter)', () => (
       <FlipMoveWrapper
         itemType={type}
@@ -139,6 +256,26 @@ import FlipMoveListItem from './helpers/FlipMoveListItem';
         }}
       />
     ))
+    .add('registered preset', () => (
+      <FlipMoveWrapper
+        itemType={type}
+        flipMoveProps={{
+          enterAnimation: 'dropIn',
+          leaveAnimation: 'dropIn',
+        }}
+      />
+    ))
+    .add('scoped preset, overriding a registered one', () => (
+      <FlipMove.Presets presets={scopedPresets}>
+        <FlipMoveWrapper
+          itemType={type}
+          flipMoveProps={{
+            enterAnimation: 'dropIn',
+            leaveAnimation: 'dropIn',
+          }}
+        />
+      </FlipMove.Presets>
+    ))
     .add('invalid preset (default preset)', () => (
       <FlipMoveWrapper
         itemType={type}
@@ -149,6 +149,7 @@ class FlipMoveWrapper extends Component {
             ...this.props.listItemStyles,
             // zIndex: item.id.charCodeAt(0),
           },
+          ...(item.flipMove ? { flipMove: item.flipMove } : {}),
         },
         text
       );
@@ -194,6 +195,7 @@ FlipMoveWrapper.propTypes = {
   items: PropTypes.arrayOf(PropTypes.shape({
     id: PropTypes.string.isRequired,
     text: PropTypes.string,
+    flipMove: PropTypes.object,
   })),
   flipMoveProps: PropTypes.object,
   itemType: PropTypes.oneOfType([
@@ -23,4 +23,28 @@ storiesOf('Hooks', module)
         },
       }}
     />
+  ))
+  .add('phase-specific hooks (see console)', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        duration: 1000,
+        onEnterStart(child) { console.info('Enter start', child.key); },
+        onEnterFinish(child) { console.info('Enter finish', child.key); },
+        onLeaveStart(child) { console.info('Leave start', child.key); },
+        onLeaveFinish(child) { console.info('Leave finish', child.key); },
+        onMoveStart(child, node, delta) { console.info('Move start', child.key, delta); },
+        onMoveFinish(child, node, delta) { console.info('Move finish', child.key, delta); },
+      }}
+    />
+  ))
+  .add('onInterrupt and onCancel (see console)', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        duration: 1000,
+        onInterrupt(child, fromStatus, toStatus) {
+          console.info('Element interrupted', child.key, fromStatus, '->', toStatus);
+        },
+        onCancel(child) { console.info('Element cancelled', child.key); },
+      }}
+    />
   ));
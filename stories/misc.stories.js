@@ -1,5 +1,6 @@
 import React, { Component } from 'react';
 import { storiesOf } from '@kadira/storybook';
+import shuffle from 'lodash/shuffle';
 
 import FlipMove from '../src';
 import FlipMoveWrapper from './helpers/FlipMoveWrapper';
@@ -93,3 +94,147 @@ import FlipMoveListItem from './helpers/FlipMoveListItem';
       );
     });
 });
+
+storiesOf('Misc - functional', module)
+  .add('Stateless Functional Components, wrapped in FlipMove.Item', () => {
+    /* eslint-disable react/prop-types */
+    const FunctionalItem = ({ text }) => (
+      <div style={{ padding: '10px', background: '#FFF' }}>{text}</div>
+    );
+
+    class ShuffledList extends Component {
+      constructor(props) {
+        super(props);
+
+        this.state = { items: ['a', 'b', 'c', 'd'] };
+      }
+
+      render() {
+        return (
+          <div>
+            <button
+              onClick={() => this.setState({ items: shuffle(this.state.items) })}
+            >
+              Shuffle
+            </button>
+
+            <FlipMove>
+              {this.state.items.map(id => (
+                <FlipMove.Item key={id}>
+                  <FunctionalItem text={`Item ${id}`} />
+                </FlipMove.Item>
+              ))}
+            </FlipMove>
+          </div>
+        );
+      }
+    }
+    /* eslint-enable */
+
+    return <ShuffledList />;
+  })
+  .add('FlipMove.Item with a status function', () => {
+    const statusColors = {
+      entering: '#DFF5E1',
+      leaving: '#F9DEDC',
+      moving: '#FFF4CC',
+      idle: '#FFFFFF',
+    };
+
+    // eslint-disable-next-line react/no-multi-comp
+    class StatusList extends Component {
+      constructor(props) {
+        super(props);
+
+        this.state = { items: ['a', 'b', 'c', 'd'], nextId: 0 };
+      }
+
+      addItem() {
+        const { items, nextId } = this.state;
+
+        this.setState({ items: [`new-${nextId}`, ...items], nextId: nextId + 1 });
+      }
+
+      removeItem(id) {
+        this.setState({ items: this.state.items.filter(item => item !== id) });
+      }
+
+      render() {
+        return (
+          <div>
+            <button onClick={() => this.addItem()}>Add</button>
+            <button
+              onClick={() => this.setState({ items: shuffle(this.state.items) })}
+            >
+              Shuffle
+            </button>
+
+            <FlipMove duration={1000}>
+              {this.state.items.map(id => (
+                <FlipMove.Item key={id}>
+                  {status => (
+                    <div
+                      style={{
+                        padding: '10px',
+                        background: statusColors[status],
+                        position: 'relative',
+                        zIndex: status === 'moving' ? 1 : 0,
+                      }}
+                    >
+                      Item {id} ({status})
+                      <button
+                        disabled={status === 'leaving'}
+                        onClick={() => this.removeItem(id)}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  )}
+                </FlipMove.Item>
+              ))}
+            </FlipMove>
+          </div>
+        );
+      }
+    }
+
+    return <StatusList />;
+  });
+
+storiesOf('Misc - focus', module)
+  .add('focus follows moved and removed rows (use the keyboard)', () => {
+    // eslint-disable-next-line react/no-multi-comp
+    class FocusList extends Component {
+      constructor(props) {
+        super(props);
+
+        this.state = { items: ['a', 'b', 'c', 'd', 'e'] };
+      }
+
+      moveToTop(id) {
+        const { items } = this.state;
+
+        this.setState({ items: [id, ...items.filter(item => item !== id)] });
+      }
+
+      removeItem(id) {
+        this.setState({ items: this.state.items.filter(item => item !== id) });
+      }
+
+      render() {
+        return (
+          <FlipMove duration={600} focusOnLeave="next">
+            {this.state.items.map(id => (
+              <div key={id} style={{ padding: '10px', background: '#FFF' }}>
+                Item {id}
+                <button onClick={() => this.moveToTop(id)}>Move to top</button>
+                <button onClick={() => this.removeItem(id)}>Remove</button>
+              </div>
+            ))}
+          </FlipMove>
+        );
+      }
+    }
+
+    return <FocusList />;
+  });
@@ -92,6 +92,50 @@ storiesOf('Staggers', module)
         staggerDelayBy: 45,
       }}
     />
+  ))
+  .add('reverse stagger order', () => (
+    <FlipMoveWrapper
+      itemType={FlipMoveListItem}
+      flipMoveProps={{ staggerDelayBy: 100, staggerOrder: 'reverse' }}
+    />
+  ))
+  .add('stagger from the center', () => (
+    <FlipMoveWrapper
+      itemType={FlipMoveListItem}
+      flipMoveProps={{ staggerDelayBy: 100, staggerOrder: 'fromCenter' }}
+    />
+  ))
+  .add('stagger from a key', () => (
+    <FlipMoveWrapper
+      itemType={FlipMoveListItem}
+      flipMoveProps={{ staggerDelayBy: 100, staggerOrder: 'fromKey', staggerFrom: 'c' }}
+    />
+  ))
+  .add('stagger by distance', () => (
+    <FlipMoveWrapper
+      itemType={FlipMoveListItem}
+      flipMoveProps={{ staggerDelayBy: 100, staggerOrder: 'byDistance' }}
+    />
+  ))
+  .add('grid ripple stagger', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{ staggerDelayBy: 80, staggerOrder: 'grid' }}
+      flipMoveContainerStyles={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        width: '600px',
+      }}
+      listItemStyles={{
+        width: '180px',
+        height: '120px',
+      }}
+    />
+  ))
+  .add('capped delay stagger', () => (
+    <FlipMoveWrapper
+      itemType={FlipMoveListItem}
+      flipMoveProps={{ staggerDelayBy: 250, staggerMax: 500 }}
+    />
   ));
 
 storiesOf('Disabled animations', module)
@@ -1,10 +1,97 @@
 /* eslint-disable no-console */
-import React from 'react';
+import React, { Component } from 'react';
 import { storiesOf } from '@kadira/storybook';
 
+import FlipMove from '../src';
 import FlipMoveWrapper from './helpers/FlipMoveWrapper';
 
 
+class ColumnToggle extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = { columns: 1 };
+  }
+
+  render() {
+    const { columns } = this.state;
+
+    return (
+      <div>
+        <button
+          onClick={() => this.setState({ columns: columns === 1 ? 3 : 1 })}
+        >
+          Toggle columns
+        </button>
+
+        <FlipMove
+          layoutKey={columns}
+          style={{ display: 'flex', flexWrap: 'wrap' }}
+        >
+          {['a', 'b', 'c', 'd', 'e', 'f'].map(id => (
+            <div
+              key={id}
+              style={{
+                width: `${100 / columns}%`,
+                padding: '10px',
+                boxSizing: 'border-box',
+              }}
+            >
+              Item {id}
+            </div>
+          ))}
+        </FlipMove>
+      </div>
+    );
+  }
+}
+
+
+class SharedColumns extends Component {
+  constructor(props) {
+    super(props);
+
+    this.state = {
+      todo: ['a', 'b', 'c', 'd'],
+      done: [],
+    };
+  }
+
+  moveItem(id, from, to) {
+    this.setState({
+      [from]: this.state[from].filter(item => item !== id),
+      [to]: [id, ...this.state[to]],
+    });
+  }
+
+  renderColumn(name, otherName) {
+    return (
+      <FlipMove sharedKey="items" style={{ width: '200px', margin: '0 20px' }}>
+        {this.state[name].map(id => (
+          <div
+            key={id}
+            onClick={() => this.moveItem(id, name, otherName)}
+            style={{ padding: '10px', background: '#FFF', cursor: 'pointer' }}
+          >
+            Item {id}
+          </div>
+        ))}
+      </FlipMove>
+    );
+  }
+
+  render() {
+    return (
+      <FlipMove.Group>
+        <div style={{ display: 'flex' }}>
+          {this.renderColumn('todo', 'done')}
+          {this.renderColumn('done', 'todo')}
+        </div>
+      </FlipMove.Group>
+    );
+  }
+}
+
 storiesOf('Special Props', module)
   .add('maintainContainerHeight (<div>)', () => (
     <FlipMoveWrapper
@@ -49,6 +136,145 @@ storiesOf('Special Props', module)
       }}
     />
   ))
+  .add('spring timing', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        timing: { type: 'spring', stiffness: 120, damping: 14 },
+      }}
+    />
+  ))
+  .add('animateSize', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        animateSize: true,
+      }}
+      flipMoveContainerStyles={{
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'flex-start',
+      }}
+      listItemStyles={{
+        flex: '1 1 auto',
+        minWidth: '120px',
+      }}
+    />
+  ))
+  .add('separate move/enter/leave timing', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        moveTiming: { duration: 600, easing: 'cubic-bezier(0.2, 0.8, 0.2, 1)' },
+        enterTiming: { duration: 400, staggerDelayBy: 60 },
+        leaveTiming: { duration: 150, easing: 'ease-in' },
+      }}
+    />
+  ))
+  .add('sequence (enter after leaves and moves)', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        sequence: true,
+        leaveTiming: { duration: 200 },
+      }}
+    />
+  ))
+  .add('reducedMotion: fade-only (turn on reduced motion in your OS)', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        reducedMotion: 'fade-only',
+      }}
+    />
+  ))
+  .add('announce (use a screen reader)', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        announce: true,
+      }}
+    />
+  ))
+  .add('announce with a formatter', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        announce: ({ added, removed, moved }) => (
+          `${added.length} ajoutés, ${removed.length} supprimés, ${moved.length} déplacés`
+        ),
+      }}
+    />
+  ))
+  .add('inside a scrolling container (scroll, then shuffle)', () => (
+    <FlipMoveWrapper
+      flipMoveContainerStyles={{
+        height: '120px',
+        overflow: 'auto',
+        position: 'relative',
+      }}
+    />
+  ))
+  .add('inside a scrolling container, with compensateScroll={false}', () => (
+    <FlipMoveWrapper
+      flipMoveContainerStyles={{
+        height: '120px',
+        overflow: 'auto',
+        position: 'relative',
+      }}
+      flipMoveProps={{
+        compensateScroll: false,
+      }}
+    />
+  ))
+  .add('inside a scaled container', () => (
+    <FlipMoveWrapper
+      bodyContainerStyles={{
+        transform: 'scale(0.5)',
+        transformOrigin: 'top left',
+      }}
+    />
+  ))
+  .add('containerScale', () => (
+    <FlipMoveWrapper
+      bodyContainerStyles={{
+        transform: 'scale(1.5, 0.75)',
+        transformOrigin: 'top left',
+      }}
+      flipMoveProps={{
+        containerScale: [1.5, 0.75],
+      }}
+    />
+  ))
+  .add('preserveChildStyles', () => (
+    <FlipMoveWrapper
+      flipMoveProps={{
+        preserveChildStyles: true,
+      }}
+      listItemStyles={{
+        transform: 'rotate(-2deg) scale(0.95)',
+        transition: 'background-color 500ms',
+      }}
+    />
+  ))
+  .add('per-child overrides', () => (
+    <FlipMoveWrapper
+      items={[
+        { id: 'a', text: 'Default' },
+        {
+          id: 'b',
+          text: 'Slow, and fades in and out',
+          flipMove: { duration: 1500, enterAnimation: 'fade', leaveAnimation: 'fade' },
+        },
+        { id: 'c', text: 'Default' },
+        { id: 'd', text: 'Never animates', flipMove: { disabled: true } },
+        {
+          id: 'e',
+          text: 'Accordion, with a delay',
+          flipMove: { delay: 300, enterAnimation: 'accordionVertical', leaveAnimation: 'accordionVertical' },
+        },
+      ]}
+    />
+  ))
+  .add('layoutKey', () => (
+    <ColumnToggle />
+  ))
+  .add('sharedKey, moving between containers', () => (
+    <SharedColumns />
+  ))
   .add('custom scaling with custom getPosition function', () => {
     function getPosition(node) {
       const rect = node.getBoundingClientRect();
@@ -1,3 +1,5 @@
+/* eslint-disable no-undef */
+import ReactDOM from 'react-dom';
 import TestUtils from 'react-addons-test-utils';
 
 export function getContainerBox(renderedComponent) {
@@ -18,3 +20,23 @@ export function getTagPositions(renderedComponent) {
     c: tagC.getBoundingClientRect(),
   };
 }
+
+/** createContainerFixture
+ * Call inside a `describe` block. Before each test, a fresh container is
+ * added to the page (and removed again afterwards), as `fixture.container`.
+ */
+export function createContainerFixture() {
+  const fixture = { container: null };
+
+  beforeEach(() => {
+    fixture.container = document.createElement('div');
+    document.body.appendChild(fixture.container);
+  });
+
+  afterEach(() => {
+    ReactDOM.unmountComponentAtNode(fixture.container);
+    document.body.removeChild(fixture.container);
+  });
+
+  return fixture;
+}
@@ -3,8 +3,37 @@ import React, { Component } from 'react';
 import ReactDOM from 'react-dom';
 import TestUtils from 'react-addons-test-utils';
 
-import { getContainerBox, getTagPositions } from './helpers';
+import {
+  createContainerFixture,
+  getContainerBox,
+  getTagPositions,
+} from './helpers';
 import FlipMove from '../src/FlipMove';
+import {
+  composeStyles,
+  createTransitionString,
+  getContainerScale,
+  getPositionDelta,
+  getScaleDelta,
+  getTransitionTiming,
+  isTransitionOf,
+  unscaleBox,
+} from '../src/dom-manipulation';
+import {
+  convertKeyframes,
+  getContinuedMoveDuration,
+  getRemainingTiming,
+} from '../src/helpers';
+import {
+  carryOverVelocity,
+  defaultSpring,
+  getSpringDuration,
+  settleSpring,
+  simulateRestingSpring,
+  simulateSpring,
+} from '../src/spring';
+import { getStaggerIndexes, rankValues } from '../src/stagger';
+import { diffChildren, formatAnnouncement } from '../src/announcements';
 
 
 describe('FlipMove', () => {
@@ -47,6 +76,8 @@ describe('FlipMove', () => {
         staggerDurationBy: 0,
         disableAllAnimations: false,
         maintainContainerHeight: false,
+        engine: 'css',
+        timing: undefined,
         articles,
       };
       this.count = 0;
@@ -80,6 +111,8 @@ describe('FlipMove', () => {
             staggerDurationBy={this.state.staggerDurationBy}
             disableAllAnimations={this.state.disableAllAnimations}
             maintainContainerHeight={this.state.maintainContainerHeight}
+            engine={this.state.engine}
+            timing={this.state.timing}
             onStart={this.onStartHandler}
             onFinish={this.onFinishHandler}
             onFinishAll={finishAllStub}
@@ -100,6 +133,11 @@ describe('FlipMove', () => {
     );
   });
 
+  // Otherwise its children's ids would clash with those of later tests.
+  after(() => {
+    ReactDOM.unmountComponentAtNode(document.getElementsByTagName('body')[0]);
+  });
+
   it('renders the children components', () => {
     const outputComponents = TestUtils.scryRenderedComponentsWithType(
       renderedComponent, ListItem
@@ -228,6 +266,43 @@ describe('FlipMove', () => {
     });
   });
 
+  describe('web animations engine', () => {
+    let originalPositions;
+
+    before(() => {
+      finishAllStub.reset();
+      originalPositions = getTagPositions(renderedComponent);
+
+      renderedComponent.setState({ engine: 'waapi' }, () => {
+        renderedComponent.setState({ articles: articles.reverse() });
+      });
+    });
+
+    after(() => {
+      renderedComponent.setState({ engine: 'css' });
+    });
+
+    it('has not actually moved the elements on-screen', () => {
+      const newPositions = getTagPositions(renderedComponent);
+
+      expect(newPositions.a).to.deep.equal(originalPositions.c);
+      expect(newPositions.c).to.deep.equal(originalPositions.a);
+    });
+
+    it('has finished the animation after 750ms', (done) => {
+      setTimeout(() => {
+        const newPositions = getTagPositions(renderedComponent);
+
+        expect(newPositions.a).to.deep.equal(originalPositions.a);
+        expect(newPositions.c).to.deep.equal(originalPositions.c);
+        expect(finishAllStub).to.have.been.calledOnce;
+        finishAllStub.reset();
+
+        done();
+      }, 750);
+    });
+  });
+
   describe('duration propType', () => {
     it('applies a string that can be converted to an int', () => {
       renderedComponent.setState({ duration: '10' });
@@ -245,6 +320,26 @@ describe('FlipMove', () => {
     });
   });
 
+  describe('timing propType', () => {
+    after(() => {
+      renderedComponent.setState({ timing: undefined });
+    });
+
+    it('applies a spring with string values', () => {
+      renderedComponent.setState({
+        timing: { type: 'spring', stiffness: '200', damping: 20 },
+      });
+      expect(consoleStub).to.not.have.been.called;
+    });
+
+    it('applies a spring with a bogus value', () => {
+      renderedComponent.setState({
+        timing: { type: 'spring', stiffness: 'hi' },
+      });
+      expect(consoleStub).to.have.been.calledOnce;
+    });
+  });
+
   describe('disabling animation', () => {
     let originalPositions;
 
@@ -308,3 +403,1651 @@ describe('FlipMove', () => {
     });
   });
 });
+
+describe('appearAnimation', () => {
+  const fixture = createContainerFixture();
+  let startStub;
+  let finishAllStub;
+
+  beforeEach(() => {
+    startStub = sinon.stub();
+    finishAllStub = sinon.stub();
+
+    ReactDOM.render(
+      <FlipMove
+        appearAnimation="fade"
+        duration={100}
+        onStart={startStub}
+        onFinishAll={finishAllStub}
+      >
+        <div key="a">A</div>
+        <div key="b">B</div>
+      </FlipMove>,
+      fixture.container
+    );
+  });
+
+  it('starts animating the initial children on mount', () => {
+    expect(startStub).to.have.been.calledTwice;
+  });
+
+  it('finishes the appear animation', (done) => {
+    setTimeout(() => {
+      expect(finishAllStub).to.have.been.calledOnce;
+      done();
+    }, 300);
+  });
+});
+
+describe('FlipMove.Item', () => {
+  const fixture = createContainerFixture();
+
+  it('allows stateless functional components as children', () => {
+    const warnStub = sinon.stub(console, 'warn');
+    const FunctionalItem = ({ id }) => <div id={id}>{id}</div>;
+
+    ReactDOM.render(
+      <FlipMove>
+        <FlipMove.Item key="a"><FunctionalItem id="a" /></FlipMove.Item>
+        <FlipMove.Item key="b"><FunctionalItem id="b" /></FlipMove.Item>
+      </FlipMove>,
+      fixture.container
+    );
+    warnStub.restore();
+
+    expect(warnStub).to.not.have.been.called;
+
+    // No extra elements are rendered around the functional components.
+    expect(fixture.container.firstChild.children[0].id).to.equal('a');
+    expect(fixture.container.firstChild.children[1].id).to.equal('b');
+  });
+
+  describe('statuses', () => {
+    // Each item shows its status.
+    const renderItems = (keys) => {
+      ReactDOM.render(
+        <FlipMove duration={50}>
+          {keys.map(key => (
+            <FlipMove.Item key={key}>
+              {status => <div id={key} style={{ height: 20 }}>{status}</div>}
+            </FlipMove.Item>
+          ))}
+        </FlipMove>,
+        fixture.container
+      );
+    };
+
+    it('gives a function child the item\'s status', (done) => {
+      renderItems(['a', 'b']);
+      expect(document.getElementById('a').textContent).to.equal('idle');
+
+      renderItems(['b', 'c']);
+      expect(document.getElementById('a').textContent).to.equal('leaving');
+      expect(document.getElementById('b').textContent).to.equal('moving');
+      expect(document.getElementById('c').textContent).to.equal('entering');
+
+      setTimeout(() => {
+        expect(document.getElementById('a')).to.equal(null);
+        expect(document.getElementById('b').textContent).to.equal('idle');
+        expect(document.getElementById('c').textContent).to.equal('idle');
+        done();
+      }, 300);
+    });
+
+    it('gives a function child its status along with per-child overrides', () => {
+      const statuses = [];
+
+      const renderRecordedItems = (keys) => {
+        ReactDOM.render(
+          <FlipMove duration={50}>
+            {keys.map(key => (
+              <FlipMove.Item key={key} flipMove={{ enterAnimation: 'fade' }}>
+                {(status) => {
+                  statuses.push(`${key}: ${status}`);
+                  return <div id={key}>{status}</div>;
+                }}
+              </FlipMove.Item>
+            ))}
+          </FlipMove>,
+          fixture.container
+        );
+      };
+
+      renderRecordedItems(['a']);
+      renderRecordedItems(['a', 'b']);
+
+      // It is entering from its very first render.
+      expect(statuses.filter(status => status.indexOf('b') === 0)[0]).to.equal('b: entering');
+      expect(document.getElementById('b').style.opacity).to.equal('0');
+    });
+  });
+});
+
+describe('FlipMove.Group', () => {
+  const fixture = createContainerFixture();
+
+  // Two 100px-wide columns, side by side.
+  const renderColumns = ({ left, right }, rightProps = {}) => {
+    const renderColumn = (column, keys, props) => (
+      <FlipMove duration={100} sharedKey="cards" style={{ width: 100, flex: 'none' }} {...props}>
+        {keys.map(key => (
+          <div key={key} id={`${column}-${key}`} style={{ height: 20 }}>{key}</div>
+        ))}
+      </FlipMove>
+    );
+
+    ReactDOM.render(
+      <FlipMove.Group>
+        <div style={{ display: 'flex', alignItems: 'flex-start' }}>
+          {renderColumn('left', left, {})}
+          {renderColumn('right', right, rightProps)}
+        </div>
+      </FlipMove.Group>,
+      fixture.container
+    );
+  };
+
+  const moveB = (rightProps) => {
+    renderColumns({ left: ['a', 'b'], right: ['c'] }, rightProps);
+    renderColumns({ left: ['a'], right: ['b', 'c'] }, rightProps);
+  };
+
+  it('moves a child from one container to another', () => {
+    moveB();
+
+    // It starts out where it was, 100px to the left and 20px down.
+    expect(document.getElementById('right-b').style.transform).to.equal('translate(-100px, 20px)');
+    expect(document.getElementById('left-b').style.visibility).to.equal('hidden');
+  });
+
+  it('moves children that have no enter animation', () => {
+    moveB({ enterAnimation: 'none' });
+
+    expect(document.getElementById('right-b').style.transform).to.equal('translate(-100px, 20px)');
+  });
+
+  it('lets children that nobody claimed leave as usual', (done) => {
+    renderColumns({ left: ['a', 'b'], right: ['c'] });
+    renderColumns({ left: ['a'], right: ['c'] });
+
+    const leavingNode = document.getElementById('left-b');
+
+    expect(leavingNode.style.visibility).to.equal('');
+
+    requestAnimationFrame(() => {
+      expect(leavingNode.style.opacity).to.not.equal('');
+
+      setTimeout(() => {
+        expect(document.getElementById('left-b')).to.equal(null);
+        done();
+      }, 300);
+    });
+  });
+
+  it('moves children between scaled containers', () => {
+    fixture.container.style.transform = 'scale(0.5)';
+
+    moveB();
+
+    // Both containers are scaled, so the move is the same in their pixels.
+    expect(document.getElementById('right-b').style.transform).to.equal('translate(-100px, 20px)');
+  });
+
+  it('moves children into a container that is scrolled', () => {
+    const rightProps = { style: { width: 100, height: 40, overflow: 'auto', overflowAnchor: 'none' } };
+
+    renderColumns({ left: ['a', 'b'], right: ['c', 'd', 'e'] }, rightProps);
+    fixture.container.querySelector('#right-c').parentNode.scrollTop = 20;
+
+    renderColumns({ left: ['a'], right: ['b', 'c', 'd', 'e'] }, rightProps);
+
+    // Its new spot is scrolled 20px up out of view, so it travels 40px up.
+    expect(document.getElementById('right-b').style.transform).to.equal('translate(-100px, 40px)');
+  });
+});
+
+describe('per-child overrides', () => {
+  const fixture = createContainerFixture();
+
+  // 'b' opts out of animations altogether.
+  const items = {
+    a: <div key="a" id="a">a</div>,
+    b: <div key="b" id="b" flipMove={{ disabled: true }}>b</div>,
+    c: <div key="c" id="c" flipMove={{ duration: 200 }}>c</div>,
+  };
+
+  const renderItems = (keys) => {
+    ReactDOM.render(
+      <FlipMove duration={100}>{keys.map(key => items[key])}</FlipMove>,
+      fixture.container
+    );
+  };
+
+  it('does not pass the overrides on to the children', () => {
+    const errorStub = sinon.stub(console, 'error');
+
+    renderItems(['a', 'b', 'c']);
+    errorStub.restore();
+
+    // React warns about unknown props on DOM elements.
+    expect(errorStub).to.not.have.been.called;
+  });
+
+  it('removes disabled children without a leave animation', (done) => {
+    renderItems(['a', 'b', 'c']);
+    const leavingNode = document.getElementById('b');
+
+    renderItems(['a', 'c']);
+
+    expect(leavingNode.style.display).to.equal('none');
+
+    setTimeout(() => {
+      expect(fixture.container.firstChild.children).to.have.length.of(2);
+      done();
+    }, 300);
+  });
+});
+
+describe('custom presets', () => {
+  const fixture = createContainerFixture();
+  let errorStub;
+
+  // 'b' is added to the list, so that it enters with `enterAnimation`.
+  // `wrap` can put the list inside a FlipMove.Presets provider.
+  const addItem = (enterAnimation, wrap = list => list) => {
+    [['a'], ['a', 'b']].forEach((keys) => {
+      ReactDOM.render(
+        wrap(
+          <FlipMove enterAnimation={enterAnimation} duration={100}>
+            {keys.map(key => <div key={key} id={key}>{key}</div>)}
+          </FlipMove>
+        ),
+        fixture.container
+      );
+    });
+  };
+
+  beforeEach(() => {
+    errorStub = sinon.stub(console, 'error');
+  });
+
+  afterEach(() => {
+    errorStub.restore();
+  });
+
+  after(() => {
+    FlipMove.unregisterPreset('custom');
+  });
+
+  it('resolves presets registered with registerPreset', () => {
+    FlipMove.registerPreset('custom', {
+      enter: { from: { opacity: 0.25 }, to: { opacity: '' } },
+    });
+
+    addItem('custom');
+
+    expect(errorStub).to.not.have.been.called;
+    expect(document.getElementById('b').style.opacity).to.equal('0.25');
+  });
+
+  it('prefers presets from a FlipMove.Presets provider', () => {
+    const presets = {
+      custom: { enter: { from: { opacity: 0.5 }, to: { opacity: '' } } },
+    };
+
+    addItem('custom', list => <FlipMove.Presets presets={presets}>{list}</FlipMove.Presets>);
+
+    expect(errorStub).to.not.have.been.called;
+    expect(document.getElementById('b').style.opacity).to.equal('0.5');
+  });
+
+  it('rejects presets without a name', () => {
+    FlipMove.registerPreset(undefined, {
+      enter: { from: { opacity: 0 }, to: { opacity: '' } },
+    });
+
+    expect(errorStub).to.have.been.calledOnce;
+  });
+
+  it('refuses to replace built-in presets', () => {
+    FlipMove.registerPreset('fade', {
+      enter: { from: { opacity: 0.25 }, to: { opacity: '' } },
+    });
+
+    expect(errorStub).to.have.been.calledOnce;
+
+    addItem('fade');
+
+    expect(document.getElementById('b').style.opacity).to.equal('0');
+  });
+
+  it('forgets presets removed with unregisterPreset', () => {
+    FlipMove.registerPreset('temporary', {
+      enter: { from: { opacity: 0.25 }, to: { opacity: '' } },
+    });
+    FlipMove.unregisterPreset('temporary');
+
+    ReactDOM.render(
+      <FlipMove enterAnimation="temporary"><div key="a">a</div></FlipMove>,
+      fixture.container
+    );
+
+    // An unknown preset falls back to the default, with an error.
+    expect(errorStub).to.have.been.calledOnce;
+    expect(errorStub.firstCall.args[0]).to.contain('temporary');
+  });
+});
+
+describe('direction-aware presets', () => {
+  const fixture = createContainerFixture();
+
+  // 'b' slides in from the start of the line.
+  const slideInB = () => {
+    [['a'], ['a', 'b']].forEach((keys) => {
+      ReactDOM.render(
+        <FlipMove enterAnimation="slideStart" duration={100}>
+          {keys.map(key => <span key={key} id={key}>{key}</span>)}
+        </FlipMove>,
+        fixture.container
+      );
+    });
+  };
+
+  it('picks the version for left-to-right text', () => {
+    slideInB();
+
+    expect(document.getElementById('b').style.transform).to.equal('translateX(-100%)');
+  });
+
+  it('picks the version for right-to-left text, set on any ancestor', () => {
+    fixture.container.dir = 'rtl';
+    slideInB();
+
+    expect(document.getElementById('b').style.transform).to.equal('translateX(100%)');
+  });
+});
+
+describe('keyframe animations', () => {
+  const bounceIn = [
+    { transform: 'scale(0)', opacity: 0 },
+    { offset: 0.6, transform: 'scale(1.2)', opacity: 1 },
+    { transform: '', opacity: '' },
+  ];
+
+  it('uses the first and last keyframes as the from and to styles', () => {
+    expect(convertKeyframes(bounceIn)).to.deep.equal({
+      from: { transform: 'scale(0)', opacity: 0 },
+      to: { transform: '', opacity: '' },
+      keyframes: bounceIn,
+    });
+  });
+
+  describe('on the page', () => {
+    const fixture = createContainerFixture();
+
+    it('fires onFinish once the last keyframe completes', (done) => {
+      const finishStub = sinon.stub();
+      const props = { enterAnimation: bounceIn, duration: 100, onFinish: finishStub };
+
+      ReactDOM.render(
+        <FlipMove {...props}>
+          <div key="a">a</div>
+        </FlipMove>,
+        fixture.container
+      );
+      ReactDOM.render(
+        <FlipMove {...props}>
+          <div key="a">a</div>
+          <div key="b">b</div>
+        </FlipMove>,
+        fixture.container
+      );
+
+      expect(finishStub).to.not.have.been.called;
+
+      setTimeout(() => {
+        expect(finishStub).to.have.been.calledOnce;
+        done();
+      }, 300);
+    });
+  });
+});
+
+describe('transitioned properties', () => {
+  it('matches transitionend events for shorthands\' longhands', () => {
+    expect(isTransitionOf('opacity', 'opacity')).to.equal(true);
+    expect(isTransitionOf('padding', 'padding-top')).to.equal(true);
+    expect(isTransitionOf('background', 'background-color')).to.equal(true);
+    expect(isTransitionOf('border-radius', 'border-top-left-radius')).to.equal(true);
+    expect(isTransitionOf('inset', 'left')).to.equal(true);
+
+    expect(isTransitionOf('padding', 'margin-top')).to.equal(false);
+    expect(isTransitionOf('border-width', 'border-top-color')).to.equal(false);
+  });
+
+  describe('in enter animations', () => {
+    const fixture = createContainerFixture();
+    let finishStub;
+    let cancelStub;
+
+    const enterWith = (enterAnimation) => {
+      const props = {
+        duration: 100,
+        enterAnimation,
+        onFinish: finishStub,
+        onCancel: cancelStub,
+      };
+
+      ReactDOM.render(
+        <FlipMove {...props}>
+          <div key="a">a</div>
+        </FlipMove>,
+        fixture.container
+      );
+      ReactDOM.render(
+        <FlipMove {...props}>
+          <div key="a">a</div>
+          <div key="b">b</div>
+        </FlipMove>,
+        fixture.container
+      );
+    };
+
+    // The cleanup fallback would only step in after 200ms, and cancel it.
+    const expectFinishedInTime = (done) => {
+      setTimeout(() => {
+        expect(finishStub).to.have.been.calledOnce;
+        expect(cancelStub).to.not.have.been.called;
+        done();
+      }, 180);
+    };
+
+    beforeEach(() => {
+      finishStub = sinon.stub();
+      cancelStub = sinon.stub();
+    });
+
+    it('finish once their longhands have transitioned', (done) => {
+      enterWith({ from: { padding: '0px' }, to: { padding: '10px' } });
+      expectFinishedInTime(done);
+    });
+
+    it('don\'t wait for properties that can\'t be interpolated', (done) => {
+      // `max-height: none` can't be transitioned to.
+      enterWith({
+        from: { opacity: 0, maxHeight: 0 },
+        to: { opacity: '', maxHeight: '' },
+      });
+      expectFinishedInTime(done);
+    });
+
+    it('don\'t wait for properties that end up where they started', (done) => {
+      enterWith({
+        from: { opacity: 1, transform: 'scale(0)' },
+        to: { opacity: '', transform: '' },
+      });
+      expectFinishedInTime(done);
+    });
+  });
+});
+
+describe('createTransitionString', () => {
+  const timing = { delay: 50, duration: 300, easing: 'ease' };
+
+  it('transitions transform and opacity by default', () => {
+    expect(createTransitionString(timing)).to.equal(
+      'transform 300ms ease 50ms, opacity 300ms ease 50ms'
+    );
+  });
+
+  it('transitions other properties by their CSS names', () => {
+    expect(createTransitionString(timing, ['backgroundColor', 'msTransform'])).to.equal(
+      'background-color 300ms ease 50ms, -ms-transform 300ms ease 50ms'
+    );
+  });
+
+  it('never transitions positioning styles', () => {
+    expect(createTransitionString(timing, ['opacity', 'position', 'top'])).to.equal(
+      'opacity 300ms ease 50ms'
+    );
+  });
+});
+
+describe('composeStyles', () => {
+  const ownStyles = {
+    transform: 'rotate(5deg)',
+    transition: 'background-color 200ms ease 0s',
+    inline: { transform: 'rotate(5deg)', transition: '' },
+  };
+
+  it('applies our transform on top of the child\'s own', () => {
+    expect(composeStyles({ transform: 'translate(10px, 0px)' }, ownStyles)).to.deep.equal({
+      transform: 'translate(10px, 0px) rotate(5deg)',
+    });
+  });
+
+  it('adds our transitions after the child\'s own', () => {
+    expect(composeStyles({ transition: 'transform 300ms ease 0ms' }, ownStyles)).to.deep.equal({
+      transition: 'background-color 200ms ease 0s, transform 300ms ease 0ms',
+    });
+  });
+
+  it('restores the original transform, and suppresses transitions, when resetting', () => {
+    expect(composeStyles({ transform: '', transition: '', opacity: '' }, ownStyles)).to.deep.equal({
+      transform: 'rotate(5deg)',
+      transition: 'none',
+      opacity: '',
+    });
+  });
+
+  it('leaves styles alone for children without any of their own', () => {
+    const noStyles = { transform: '', transition: '', inline: { transform: '', transition: '' } };
+
+    expect(composeStyles({ transform: 'scale(0)', transition: '' }, noStyles)).to.deep.equal({
+      transform: 'scale(0)',
+      transition: '',
+    });
+  });
+});
+
+describe('preserveChildStyles', () => {
+  const fixture = createContainerFixture();
+
+  // Every card transitions its own background colour.
+  const renderCards = (keys) => {
+    ReactDOM.render(
+      <FlipMove duration={100} preserveChildStyles>
+        {keys.map(key => (
+          <div
+            key={key}
+            id={key}
+            style={{ height: 20, transition: 'background-color 50ms' }}
+          >
+            {key}
+          </div>
+        ))}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  it('leaves the transitions of children that stay still working', (done) => {
+    renderCards(['a', 'b', 'c']);
+
+    const card = document.getElementById('a');
+    const ownTransition = card.style.transition;
+
+    // Only 'b' and 'c' swap places.
+    renderCards(['a', 'c', 'b']);
+
+    expect(card.style.transition).to.equal(ownTransition);
+
+    card.addEventListener('transitionend', (ev) => {
+      expect(ev.propertyName).to.equal('background-color');
+      done();
+    });
+    card.style.backgroundColor = 'red';
+  });
+
+  it('still combines their transitions with ours when they move later', (done) => {
+    renderCards(['a', 'b', 'c']);
+    renderCards(['a', 'c', 'b']);
+
+    // 'a' moves this time.
+    renderCards(['b', 'c', 'a']);
+
+    // FlipMove applies the transition two frames after the update, once the
+    // starting styles have been painted.
+    requestAnimationFrame(() => requestAnimationFrame(() => {
+      const { transition } = document.getElementById('a').style;
+
+      expect(transition).to.contain('background-color 0.05s');
+      expect(transition).to.contain('transform 100ms');
+      done();
+    }));
+  });
+});
+
+describe('getScaleDelta', () => {
+  const getPosition = () => ({ width: 100, height: 40 });
+
+  it('scales the element back to its old size', () => {
+    const childData = { domNode: null, boundingBox: { width: 50, height: 80 } };
+
+    expect(getScaleDelta({ childData, getPosition })).to.deep.equal([0.5, 2]);
+  });
+
+  it('leaves elements without an old box, or without a size, alone', () => {
+    expect(getScaleDelta({
+      childData: { domNode: null, boundingBox: null },
+      getPosition,
+    })).to.deep.equal([1, 1]);
+
+    expect(getScaleDelta({
+      childData: { domNode: null, boundingBox: { width: 50, height: 80 } },
+      getPosition: () => ({ width: 0, height: 0 }),
+    })).to.deep.equal([1, 1]);
+  });
+
+  it('leaves elements that grow from nothing alone', () => {
+    expect(getScaleDelta({
+      childData: { domNode: null, boundingBox: { width: 50, height: 0 } },
+      getPosition,
+    })).to.deep.equal([1, 1]);
+
+    expect(getScaleDelta({
+      childData: { domNode: null, boundingBox: { width: 0, height: 80 } },
+      getPosition,
+    })).to.deep.equal([1, 1]);
+  });
+});
+
+describe('animateSize', () => {
+  const fixture = createContainerFixture();
+
+  // Only the sizes change, so the keys alone wouldn't trigger an animation;
+  // the layoutKey does.
+  const renderItems = (heights, layoutKey) => {
+    ReactDOM.render(
+      <FlipMove
+        duration={100}
+        animateSize
+        counterScaleSelector=".content"
+        layoutKey={layoutKey}
+      >
+        {Object.keys(heights).map(key => (
+          <div key={key} id={key} style={{ height: heights[key] }}>
+            <div className="content" id={`content-${key}`}>{key}</div>
+          </div>
+        ))}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  describe('when an item grows', () => {
+    beforeEach(() => {
+      renderItems({ a: 20, b: 20 });
+      renderItems({ a: 40, b: 20 }, 'taller');
+    });
+
+    it('starts resized items at their old size, scaled from the top left', () => {
+      const { style } = document.getElementById('a');
+
+      expect(style.transform).to.equal('translate(0px, 0px) scale(1, 0.5)');
+      expect(style.transformOrigin).to.equal('0px 0px');
+    });
+
+    it('scales the counter-scaled element the opposite way', () => {
+      const { style } = document.getElementById('content-a');
+
+      expect(style.transform).to.equal('scale(1, 2)');
+      expect(style.transformOrigin).to.equal('0px 0px');
+    });
+
+    it('cleans up the scaling once finished', (done) => {
+      setTimeout(() => {
+        const item = document.getElementById('a');
+        const content = document.getElementById('content-a');
+
+        expect(item.style.transform).to.equal('');
+        expect(item.style.transformOrigin).to.equal('');
+        expect(content.style.transform).to.equal('');
+        expect(content.style.transformOrigin).to.equal('');
+        done();
+      }, 300);
+    });
+  });
+
+  it('doesn\'t scale items that grow from nothing', () => {
+    renderItems({ a: 0, b: 20 });
+    renderItems({ a: 40, b: 20 }, 'taller');
+
+    // It would need squashing to nothing, and its content stretching
+    // infinitely. Instead, it appears at its new size.
+    expect(document.getElementById('a').style.transform).to.equal('');
+    expect(document.getElementById('content-a').style.transform).to.equal('');
+
+    // Its sibling still moves out of the way.
+    expect(document.getElementById('b').style.transform).to.equal('translate(0px, -40px) scale(1, 1)');
+  });
+});
+
+describe('layout changes', () => {
+  const fixture = createContainerFixture();
+
+  const getTransform = id => document.getElementById(id).style.transform;
+
+  describe('layoutKey', () => {
+    // The items' keys stay the same; only their container's layout changes.
+    const renderLayout = (flexDirection, layoutKey) => {
+      ReactDOM.render(
+        <FlipMove
+          duration={100}
+          layoutKey={layoutKey}
+          style={{ display: 'flex', flexDirection }}
+        >
+          <div key="a" id="a" style={{ height: 20 }}>a</div>
+          <div key="b" id="b" style={{ height: 20 }}>b</div>
+        </FlipMove>,
+        fixture.container
+      );
+    };
+
+    it('animates when it changes, even if the keys did not', () => {
+      renderLayout('row', 'row');
+      const { width } = document.getElementById('a').getBoundingClientRect();
+
+      renderLayout('column', 'column');
+
+      expect(getTransform('a')).to.equal('');
+      expect(getTransform('b')).to.equal(`translate(${width}px, -20px)`);
+    });
+
+    it('does not animate while it stays the same', () => {
+      renderLayout('row', 'grid');
+      renderLayout('column', 'grid');
+
+      expect(getTransform('b')).to.equal('');
+    });
+  });
+
+  describe('snapshot() and flip()', () => {
+    let flipMove;
+
+    beforeEach(() => {
+      ReactDOM.render(
+        <FlipMove duration={100} ref={(instance) => { flipMove = instance; }}>
+          <div key="a" id="a" style={{ height: 20 }}>a</div>
+          <div key="b" id="b" style={{ height: 20 }}>b</div>
+        </FlipMove>,
+        fixture.container
+      );
+    });
+
+    it('animates changes made outside of React', () => {
+      flipMove.snapshot();
+      document.getElementById('a').style.height = '50px';
+      flipMove.flip();
+
+      expect(getTransform('b')).to.equal('translate(0px, -30px)');
+    });
+
+    it('does nothing without a change', () => {
+      flipMove.snapshot();
+      flipMove.flip();
+
+      expect(getTransform('b')).to.equal('');
+    });
+  });
+});
+
+describe('reducedMotion', () => {
+  const fixture = createContainerFixture();
+  let matchMediaStub;
+  let query;
+
+  const renderList = (keys, reducedMotion) => {
+    ReactDOM.render(
+      <FlipMove duration={100} reducedMotion={reducedMotion}>
+        {keys.map(key => <div key={key} id={key} style={{ height: 20 }}>{key}</div>)}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  beforeEach(() => {
+    query = {
+      matches: true,
+      addListener: sinon.spy(),
+      removeListener: sinon.spy(),
+    };
+    matchMediaStub = sinon.stub(window, 'matchMedia').returns(query);
+  });
+
+  afterEach(() => {
+    matchMediaStub.restore();
+  });
+
+  it('disables animations for users who prefer reduced motion', () => {
+    renderList(['a', 'b'], 'disable');
+    renderList(['b'], 'disable');
+
+    expect(matchMediaStub).to.have.been.calledWith('(prefers-reduced-motion: reduce)');
+    expect(fixture.container.firstChild.children).to.have.length.of(1);
+    expect(document.getElementById('b').style.transform).to.equal('');
+  });
+
+  it('fades moving children instead, with fade-only', () => {
+    renderList(['a', 'b'], 'fade-only');
+    renderList(['b', 'a'], 'fade-only');
+
+    const node = document.getElementById('b');
+
+    expect(node.style.opacity).to.equal('0');
+    expect(node.style.transform).to.equal('');
+  });
+
+  it('animates as usual, with ignore', () => {
+    renderList(['a', 'b'], 'ignore');
+    renderList(['b', 'a'], 'ignore');
+
+    expect(document.getElementById('b').style.transform).to.equal('translate(0px, 20px)');
+  });
+
+  it('follows changes to the setting', () => {
+    renderList(['a', 'b'], 'disable');
+
+    query.addListener.firstCall.args[0]({ matches: false });
+    renderList(['b', 'a'], 'disable');
+
+    expect(document.getElementById('b').style.transform).to.equal('translate(0px, 20px)');
+
+    ReactDOM.unmountComponentAtNode(fixture.container);
+    expect(query.removeListener).to.have.been.calledOnce;
+  });
+});
+
+describe('announce', () => {
+  const toChildren = keys => keys.map(key => ({ key: `.$${key}` }));
+
+  it('reports only the children that really moved', () => {
+    const { added, removed, moved } = diffChildren(
+      toChildren(['a', 'b', 'c', 'd']),
+      toChildren(['d', 'a', 'b', 'e'])
+    );
+
+    expect(added.map(({ key, position }) => [key, position])).to.deep.equal([['e', 4]]);
+    expect(removed.map(({ key }) => key)).to.deep.equal(['c']);
+    expect(moved.map(({ key, position }) => [key, position])).to.deep.equal([['d', 1]]);
+  });
+
+  it('formats a default message', () => {
+    const changes = diffChildren(toChildren(['a', 'b', 'c']), toChildren(['c', 'a', 'f']));
+    expect(formatAnnouncement(changes)).to.equal(
+      'Item f added. Item b removed. Item c moved to position 1'
+    );
+
+    const removals = diffChildren(toChildren(['a', 'b', 'c']), toChildren(['a']));
+    expect(formatAnnouncement(removals)).to.equal('2 items removed');
+  });
+
+  describe('live region', () => {
+    const fixture = createContainerFixture();
+
+    // Announcements don't depend on the animations, so we skip them.
+    const renderList = (keys, announce) => {
+      ReactDOM.render(
+        <FlipMove typeName="ul" disableAllAnimations announce={announce}>
+          {keys.map(key => <li key={key}>{key}</li>)}
+        </FlipMove>,
+        fixture.container
+      );
+    };
+    const getRegion = () => document.querySelector('[aria-live]');
+
+    it('isn\'t rendered by default', () => {
+      renderList(['a', 'b']);
+      expect(getRegion()).to.equal(null);
+    });
+
+    it('is kept out of the list', () => {
+      renderList(['a', 'b'], true);
+
+      expect(fixture.container.contains(getRegion())).to.equal(false);
+      expect(fixture.container.firstChild.children).to.have.length.of(2);
+    });
+
+    it('is removed along with the list, or the prop', () => {
+      renderList(['a', 'b'], true);
+      renderList(['a', 'b'], false);
+      expect(getRegion()).to.equal(null);
+
+      renderList(['a', 'b'], true);
+      ReactDOM.unmountComponentAtNode(fixture.container);
+      expect(getRegion()).to.equal(null);
+    });
+
+    it('announces each change', () => {
+      renderList(['a', 'b', 'c'], true);
+      expect(getRegion().textContent).to.equal('');
+
+      renderList(['b', 'c', 'a'], true);
+      expect(getRegion().textContent).to.equal('Item a moved to position 3');
+
+      // Re-rendering without changes keeps the last message.
+      renderList(['b', 'c', 'a'], true);
+      expect(getRegion().textContent).to.equal('Item a moved to position 3');
+    });
+
+    it('changes the text of a repeated message, so that it is announced again', () => {
+      const formatter = ({ removed }) => `${removed.length} removed`;
+      const texts = [];
+
+      renderList(['a', 'b', 'c', 'd'], formatter);
+      ['a', 'b', 'c'].forEach((key, index, keys) => {
+        renderList(keys.slice(index), formatter);
+        texts.push(getRegion().textContent);
+      });
+
+      // Each is different from the one before, but reads the same.
+      expect(texts[1]).to.not.equal(texts[0]);
+      expect(texts[2]).to.not.equal(texts[1]);
+      expect(texts.map(text => text.trim())).to.deep.equal(['1 removed', '1 removed', '1 removed']);
+    });
+
+
+    it('uses a formatter when one is given', () => {
+      const formatter = sinon.spy(({ removed }) => `${removed.length} supprimés`);
+
+      renderList(['a', 'b', 'c'], formatter);
+      renderList(['a'], formatter);
+
+      expect(formatter).to.have.been.calledOnce;
+      expect(getRegion().textContent).to.equal('2 supprimés');
+    });
+  });
+});
+
+describe('focus', () => {
+  const fixture = createContainerFixture();
+
+  // Each item holds a button that can take focus.
+  const renderList = (keys, props) => {
+    ReactDOM.render(
+      <FlipMove duration={100} {...props}>
+        {keys.map(key => (
+          <div key={key} id={key}>
+            <button id={`button-${key}`}>{key}</button>
+          </div>
+        ))}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+  const focus = id => document.getElementById(id).focus();
+  const getFocusedId = () => document.activeElement.id;
+
+  it('keeps focus on a child that moves', () => {
+    renderList(['a', 'b', 'c']);
+    focus('button-c');
+
+    renderList(['c', 'a', 'b']);
+
+    expect(getFocusedId()).to.equal('button-c');
+  });
+
+  it('moves focus to the next child when the focused one leaves', () => {
+    renderList(['a', 'b', 'c']);
+    focus('button-b');
+
+    renderList(['a', 'c']);
+
+    // The leaving child is still animating, but no longer has focus.
+    expect(document.getElementById('b')).to.exist;
+    expect(getFocusedId()).to.equal('button-c');
+  });
+
+  it('moves focus to the previous child when the last one leaves', () => {
+    renderList(['a', 'b', 'c'], { disableAllAnimations: true });
+    focus('button-c');
+
+    renderList(['a', 'b'], { disableAllAnimations: true });
+
+    expect(getFocusedId()).to.equal('button-b');
+  });
+
+  it('moves focus in the direction given by focusOnLeave', () => {
+    renderList(['a', 'b', 'c'], { focusOnLeave: 'previous' });
+    focus('button-b');
+
+    renderList(['a', 'c'], { focusOnLeave: 'previous' });
+
+    expect(getFocusedId()).to.equal('button-a');
+  });
+
+  it('moves focus to the container', () => {
+    renderList(['a', 'b'], { focusOnLeave: 'container' });
+    focus('button-a');
+
+    const focusSpy = sinon.spy(fixture.container.firstChild, 'focus');
+    renderList(['b'], { focusOnLeave: 'container' });
+    focusSpy.restore();
+
+    expect(document.activeElement).to.equal(fixture.container.firstChild);
+    expect(focusSpy).to.have.been.calledWith({ preventScroll: true });
+
+    // It's only focusable while it has focus.
+    expect(fixture.container.firstChild.getAttribute('tabindex')).to.equal('-1');
+
+    focus('button-b');
+    expect(fixture.container.firstChild.hasAttribute('tabindex')).to.equal(false);
+  });
+
+  it('leaves focus alone with focusOnLeave="none"', () => {
+    const props = { disableAllAnimations: true, focusOnLeave: 'none' };
+
+    renderList(['a', 'b'], props);
+    focus('button-a');
+
+    renderList(['b'], props);
+
+    expect(document.activeElement).to.equal(document.body);
+  });
+
+  it('doesn\'t take focus from outside the list', () => {
+    const input = document.createElement('input');
+    document.body.appendChild(input);
+
+    renderList(['a', 'b']);
+    input.focus();
+
+    renderList(['b']);
+
+    expect(document.activeElement).to.equal(input);
+    document.body.removeChild(input);
+  });
+});
+
+describe('scroll containers', () => {
+  const fixture = createContainerFixture();
+  let flipMove;
+
+  // Four 20px rows, in a container that only has room for two.
+  const renderRows = (props) => {
+    ReactDOM.render(
+      <FlipMove
+        duration={100}
+        style={{ height: 40, overflow: 'auto' }}
+        ref={(instance) => { flipMove = instance; }}
+        {...props}
+      >
+        {['a', 'b', 'c', 'd'].map(key => (
+          <div key={key} id={key} style={{ height: 20 }}>{key}</div>
+        ))}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  // Scrolls something between measuring the rows and animating them.
+  const scrollBetweenUpdates = (scroll) => {
+    flipMove.snapshot();
+    scroll();
+    flipMove.flip();
+  };
+
+  it('takes scrolling into account when working out deltas', () => {
+    const childData = {
+      domNode: {},
+      boundingBox: { top: 20, left: 0 },
+    };
+    const parentData = { boundingBox: { top: 100, left: 0 } };
+    const getPosition = () => ({ top: 100, left: 0 });
+
+    expect(getPositionDelta({ childData, parentData, getPosition })).to.deep.equal([0, 20]);
+    expect(
+      getPositionDelta({ childData, parentData, getPosition, scrollDelta: [0, 20] })
+    ).to.deep.equal([0, 0]);
+  });
+
+  it('doesn\'t animate children that the container scrolled', () => {
+    renderRows();
+
+    scrollBetweenUpdates(() => { fixture.container.firstChild.scrollTop = 20; });
+
+    expect(document.getElementById('c').style.transform).to.equal('');
+  });
+
+  it('also makes up for containers that are scrolled by a script', () => {
+    renderRows({ style: { height: 40, overflow: 'hidden' } });
+
+    scrollBetweenUpdates(() => { fixture.container.firstChild.scrollTop = 20; });
+
+    expect(document.getElementById('c').style.transform).to.equal('');
+  });
+
+  it('doesn\'t need to make up for scrolling around the container', () => {
+    renderRows({ style: {} });
+    fixture.container.style.height = '40px';
+    fixture.container.style.overflow = 'auto';
+
+    scrollBetweenUpdates(() => { fixture.container.scrollTop = 20; });
+
+    expect(document.getElementById('c').style.transform).to.equal('');
+  });
+
+  it('animates the container\'s scrolling with compensateScroll={false}', () => {
+    renderRows({ compensateScroll: false });
+
+    scrollBetweenUpdates(() => { fixture.container.firstChild.scrollTop = 20; });
+
+    expect(document.getElementById('c').style.transform).to.equal('translate(0px, 20px)');
+  });
+});
+
+describe('scaled containers', () => {
+  const fixture = createContainerFixture();
+
+  // 20px-high rows, which look 10px high on screen.
+  const renderRows = (keys, props) => {
+    ReactDOM.render(
+      <FlipMove duration={100} {...props}>
+        {keys.map(key => <div key={key} id={key} style={{ height: 20 }}>{key}</div>)}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  beforeEach(() => {
+    fixture.container.style.transform = 'scale(0.5)';
+  });
+
+  it('detects the scale of its ancestors', () => {
+    renderRows(['a', 'b']);
+
+    const getPosition = node => node.getBoundingClientRect();
+
+    expect(getContainerScale(fixture.container.firstChild, getPosition)).to.deep.equal([0.5, 0.5]);
+    expect(getContainerScale(document.body, getPosition)).to.deep.equal([1, 1]);
+  });
+
+  it('converts boxes to the container\'s pixels', () => {
+    const box = { top: 10, left: 20, right: 60, bottom: 30, width: 40, height: 20 };
+
+    expect(unscaleBox(box, [0.5, 2])).to.deep.equal({
+      top: 5, left: 40, right: 120, bottom: 15, width: 80, height: 10,
+    });
+    expect(unscaleBox(box, [1, 1])).to.equal(box);
+  });
+
+  it('moves children by the right amount', () => {
+    renderRows(['a', 'b']);
+    renderRows(['b', 'a']);
+
+    expect(document.getElementById('b').style.transform).to.equal('translate(0px, 20px)');
+  });
+
+  it('uses the scale it is given', () => {
+    renderRows(['a', 'b'], { containerScale: () => 1 });
+    renderRows(['b', 'a'], { containerScale: () => 1 });
+
+    expect(document.getElementById('b').style.transform).to.equal('translate(0px, 10px)');
+  });
+});
+
+describe('phase-specific hooks', () => {
+  const fixture = createContainerFixture();
+  let hooks;
+
+  // 20px-high rows, so that we know how far they move.
+  const renderRows = (keys) => {
+    ReactDOM.render(
+      <FlipMove duration={50} {...hooks}>
+        {keys.map(key => <div key={key} id={key} style={{ height: 20 }}>{key}</div>)}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  beforeEach(() => {
+    hooks = {
+      onEnterStart: sinon.spy(),
+      onEnterFinish: sinon.spy(),
+      onLeaveStart: sinon.spy(),
+      onLeaveFinish: sinon.spy(),
+      onMoveStart: sinon.spy(),
+      onMoveFinish: sinon.spy(),
+    };
+    renderRows(['a', 'b']);
+  });
+
+  it('tells entering, leaving and moving children apart', (done) => {
+    renderRows(['b', 'c']);
+
+    expect(hooks.onLeaveStart).to.have.been.calledOnce;
+    expect(hooks.onLeaveStart.firstCall.args[0].key).to.equal('.$a');
+    expect(hooks.onEnterStart).to.have.been.calledOnce;
+    expect(hooks.onEnterStart.firstCall.args[0].key).to.equal('.$c');
+    expect(hooks.onEnterStart.firstCall.args[2]).to.deep.equal([0, 0]);
+
+    // 'b' moves up into the space left by 'a'.
+    expect(hooks.onMoveStart).to.have.been.calledOnce;
+    expect(hooks.onMoveStart.firstCall.args[1]).to.equal(document.getElementById('b'));
+    expect(hooks.onMoveStart.firstCall.args[2]).to.deep.equal([0, 20]);
+
+    setTimeout(() => {
+      expect(hooks.onLeaveFinish).to.have.been.calledOnce;
+      expect(hooks.onEnterFinish).to.have.been.calledOnce;
+      expect(hooks.onMoveFinish).to.have.been.calledOnce;
+      expect(hooks.onMoveFinish.firstCall.args[2]).to.deep.equal([0, 20]);
+      done();
+    }, 300);
+  });
+});
+
+describe('onInterrupt and onCancel', () => {
+  const fixture = createContainerFixture();
+  let onInterrupt;
+  let onCancel;
+
+  // 'b' leaves without an animation.
+  const items = {
+    a: <div key="a" id="a">a</div>,
+    b: <div key="b" id="b" flipMove={{ leaveAnimation: false }}>b</div>,
+    c: <div key="c" id="c">c</div>,
+  };
+
+  const renderItems = (keys, props) => {
+    ReactDOM.render(
+      <FlipMove duration={500} onInterrupt={onInterrupt} onCancel={onCancel} {...props}>
+        {keys.map(key => items[key])}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  // Once the animations are well under way. Any sooner, and a child might
+  // not have left its starting position, so it wouldn't need to move back.
+  const midway = callback => setTimeout(callback, 100);
+
+  beforeEach(() => {
+    onInterrupt = sinon.spy();
+    onCancel = sinon.spy();
+    renderItems(['a', 'b']);
+  });
+
+  it('reports an enter that is reversed', (done) => {
+    renderItems(['a', 'b', 'c']);
+
+    midway(() => {
+      renderItems(['a', 'b']);
+
+      expect(onInterrupt).to.have.been.calledOnce;
+      expect(onInterrupt.firstCall.args[0].key).to.equal('.$c');
+      expect(onInterrupt.firstCall.args.slice(1, 3)).to.deep.equal(['entering', 'leaving']);
+      expect(onCancel).to.not.have.been.called;
+      done();
+    });
+  });
+
+  it('reports a move that is superseded', (done) => {
+    renderItems(['b', 'a']);
+
+    midway(() => {
+      renderItems(['a', 'b']);
+
+      expect(onInterrupt).to.have.been.calledTwice;
+      expect(onInterrupt.firstCall.args.slice(1, 3)).to.deep.equal(['moving', 'moving']);
+      done();
+    });
+  });
+
+  it('reports a move that is dropped when a child leaves without an animation', (done) => {
+    renderItems(['b', 'a']);
+
+    midway(() => {
+      renderItems(['a']);
+
+      expect(onCancel).to.have.been.calledOnce;
+      expect(onCancel.firstCall.args[0].key).to.equal('.$b');
+      done();
+    });
+  });
+
+  it('reports animations that are dropped when animations are disabled', (done) => {
+    renderItems(['b', 'a']);
+
+    midway(() => {
+      renderItems(['b', 'a'], { disableAllAnimations: true });
+
+      expect(onCancel).to.have.been.calledTwice;
+      expect(onCancel.firstCall.args[1]).to.equal(document.getElementById('b'));
+      done();
+    });
+  });
+});
+
+describe('finished()', () => {
+  const fixture = createContainerFixture();
+  let flipMove;
+
+  const renderList = (keys, props) => {
+    ReactDOM.render(
+      <FlipMove duration={100} ref={(instance) => { flipMove = instance; }} {...props}>
+        {keys.map(key => <div key={key} id={key}>{key}</div>)}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  const expectRejection = (promise, reason) => promise.then(
+    () => { throw new Error('Expected the promise to be rejected'); },
+    (error) => { expect(error.message).to.contain(reason); }
+  );
+
+  beforeEach(() => {
+    renderList(['a', 'b', 'c']);
+  });
+
+  it('resolves straight away when nothing is animating', () => (
+    flipMove.finished()
+  ));
+
+  it('resolves once leaving children have been removed', () => {
+    renderList(['a', 'c']);
+
+    return flipMove.finished().then(() => {
+      expect(fixture.container.firstChild.children).to.have.length.of(2);
+      expect(document.getElementById('b')).to.equal(null);
+    });
+  });
+
+  it('rejects when a newer update interrupts the animations', () => {
+    renderList(['a', 'c']);
+    const finished = flipMove.finished();
+    renderList(['c', 'a']);
+
+    return expectRejection(finished, 'a newer update');
+  });
+
+  it('rejects when animations are turned off before they finish', () => {
+    renderList(['a', 'c']);
+    const finished = flipMove.finished();
+    renderList(['a', 'c'], { disableAllAnimations: true });
+
+    return expectRejection(finished, 'with animations disabled');
+  });
+
+  it('resolves when FlipMove unmounts', () => {
+    renderList(['a', 'c']);
+    const finished = flipMove.finished();
+    ReactDOM.unmountComponentAtNode(fixture.container);
+
+    return finished;
+  });
+});
+
+describe('move, enter and leave timing', () => {
+  const fixture = createContainerFixture();
+
+  // Each phase's timing falls back to these.
+  const renderItems = (keys, phaseTimingProps) => {
+    ReactDOM.render(
+      <FlipMove duration={100} easing="ease" {...phaseTimingProps}>
+        {keys.map(key => <div key={key} id={key}>{key}</div>)}
+      </FlipMove>,
+      fixture.container
+    );
+  };
+
+  // The transition is applied two frames after the update, once the
+  // starting styles have been painted. Frames requested after the update
+  // run after FlipMove's, however busy the browser is.
+  // Browsers leave out the default easing and delay when reading it back.
+  const afterTransitionStarts = (callback) => {
+    requestAnimationFrame(() => requestAnimationFrame(callback));
+  };
+
+  it('fills in missing values from the main props', (done) => {
+    const props = { leaveTiming: { duration: '150', easing: 'ease-in' } };
+
+    renderItems(['a', 'b'], props);
+    renderItems(['b'], props);
+
+    afterTransitionStarts(() => {
+      expect(document.getElementById('a').style.transition).to.contain('opacity 150ms ease-in');
+      done();
+    });
+  });
+
+  it('falls back to the main props for invalid values', (done) => {
+    const errorStub = sinon.stub(console, 'error');
+    const props = { delay: 10, enterTiming: { delay: 'soon' } };
+
+    renderItems(['a'], props);
+    expect(errorStub).to.have.been.calledOnce;
+
+    renderItems(['a', 'b'], props);
+    errorStub.restore();
+
+    afterTransitionStarts(() => {
+      expect(document.getElementById('b').style.transition).to.contain('opacity 100ms 10ms');
+      done();
+    });
+  });
+
+  it('holds entering children until the others have left, with `sequence`', (done) => {
+    const props = { sequence: true, leaveTiming: { duration: 200 } };
+
+    renderItems(['a', 'b'], props);
+    renderItems(['c', 'b'], props);
+
+    afterTransitionStarts(() => {
+      expect(document.getElementById('c').style.transition).to.contain('opacity 100ms 200ms');
+      done();
+    });
+  });
+});
+
+describe('stagger orders', () => {
+  const items = [
+    { position: 0, distance: 10, box: { top: 0, left: 0, width: 100, height: 50 } },
+    { position: 1, distance: 80, box: { top: 0, left: 100, width: 100, height: 50 } },
+    { position: 2, distance: 10.2, box: { top: 0, left: 200, width: 100, height: 50 } },
+    { position: 4, distance: 40, box: { top: 50, left: 0, width: 100, height: 50 } },
+    { position: 5, distance: 0, box: { top: 50, left: 100, width: 100, height: 50 } },
+  ];
+
+  it('ranks values without gaps', () => {
+    expect(rankValues([40, 10, 40, 25])).to.deep.equal([2, 0, 2, 1]);
+  });
+
+  it('staggers by index by default', () => {
+    expect(getStaggerIndexes('index', items)).to.deep.equal([0, 1, 2, 3, 4]);
+  });
+
+  it('staggers in reverse', () => {
+    expect(getStaggerIndexes('reverse', items)).to.deep.equal([4, 3, 2, 1, 0]);
+  });
+
+  it('staggers out from the center', () => {
+    expect(getStaggerIndexes('fromCenter', items)).to.deep.equal([2, 1, 0, 1, 2]);
+    expect(getStaggerIndexes('fromCenter', items.slice(0, 4))).to.deep.equal([1, 0, 0, 1]);
+  });
+
+  it('staggers out from a given child, even one that isn\'t animating', () => {
+    expect(getStaggerIndexes('fromKey', items, { position: 3 })).to.deep.equal([2, 1, 0, 0, 1]);
+  });
+
+  it('staggers the farthest-moving children first', () => {
+    expect(getStaggerIndexes('byDistance', items)).to.deep.equal([2, 0, 2, 1, 3]);
+  });
+
+  it('ripples out across a grid', () => {
+    expect(getStaggerIndexes('grid', items)).to.deep.equal([0, 1, 2, 1, 1]);
+    expect(getStaggerIndexes('grid', items, { box: items[4].box })).to.deep.equal([1, 1, 1, 1, 0]);
+  });
+
+  it('caps the stagger with staggerMax', () => {
+    const props = {
+      delay: 10,
+      duration: 200,
+      easing: 'ease',
+      staggerDelayBy: 100,
+      staggerDurationBy: 20,
+      staggerMax: 250,
+    };
+
+    expect(getTransitionTiming(2, props)).to.deep.equal({ delay: 210, duration: 240, easing: 'ease' });
+    expect(getTransitionTiming(8, props)).to.deep.equal({ delay: 260, duration: 360, easing: 'ease' });
+  });
+});
+
+describe('interrupted animations', () => {
+  it('only takes the remaining time of an in-flight animation', () => {
+    const inFlight = { startedAt: 1000, delay: 100, duration: 400 };
+
+    expect(getRemainingTiming(inFlight, 1050)).to.deep.equal({
+      delay: 50,
+      duration: 400,
+    });
+    expect(getRemainingTiming(inFlight, 1300)).to.deep.equal({
+      delay: 0,
+      duration: 200,
+    });
+    expect(getRemainingTiming(inFlight, 2000)).to.deep.equal({
+      delay: 0,
+      duration: 0,
+    });
+  });
+
+  it('keeps the speed of an interrupted move', () => {
+    // Travelling at 0.2px/ms, 40px takes 200ms.
+    expect(getContinuedMoveDuration(40, 0.2, 500)).to.equal(200);
+
+    // A longer move never takes more than the full duration.
+    expect(getContinuedMoveDuration(400, 0.2, 500)).to.equal(500);
+
+    // Without a previous speed, the full duration is used.
+    expect(getContinuedMoveDuration(40, 0, 500)).to.equal(500);
+  });
+
+  describe('with no time left', () => {
+    const fixture = createContainerFixture();
+
+    it('finishes the child as soon as it is in place', (done) => {
+      const finishStub = sinon.stub();
+      const cancelStub = sinon.stub();
+
+      // 'a' has no time at all for its move.
+      const children = [
+        <div key="a" id="a" flipMove={{ duration: 0 }}>a</div>,
+        <div key="b" id="b">b</div>,
+      ];
+      const renderChildren = (ordered) => {
+        ReactDOM.render(
+          <FlipMove duration={100} onFinish={finishStub} onCancel={cancelStub}>
+            {ordered}
+          </FlipMove>,
+          fixture.container
+        );
+      };
+
+      renderChildren(children);
+      renderChildren([...children].reverse());
+
+      // Well before the cleanup fallback, which would cancel it.
+      setTimeout(() => {
+        expect(finishStub).to.have.been.calledOnce;
+        expect(finishStub.firstCall.args[1].id).to.equal('a');
+        expect(cancelStub).to.not.have.been.called;
+        done();
+      }, 60);
+    });
+  });
+});
+
+describe('springs', () => {
+  it('comes to rest at the destination', () => {
+    const progress = simulateSpring(defaultSpring);
+
+    expect(progress[0]).to.equal(0);
+    expect(progress[progress.length - 1]).to.equal(1);
+    expect(getSpringDuration(progress)).to.equal(583);
+  });
+
+  it('takes longer to settle, and overshoots, with less damping', () => {
+    const progress = simulateSpring({ ...defaultSpring, damping: 5 });
+
+    expect(getSpringDuration(progress)).to.equal(2136);
+    expect(Math.max(...progress)).to.be.closeTo(1.541, 0.001);
+  });
+
+  it('gets a head start from an initial velocity', () => {
+    const resting = simulateSpring(defaultSpring);
+    const moving = simulateSpring(defaultSpring, 5);
+
+    expect(moving[50]).to.be.closeTo(0.271, 0.001);
+    expect(resting[50]).to.be.closeTo(0.143, 0.001);
+    expect(getSpringDuration(moving)).to.be.below(getSpringDuration(resting));
+  });
+
+  it('simulates springs at rest once, and cuts them short for each move', () => {
+    const progress = simulateRestingSpring(defaultSpring);
+
+    expect(simulateRestingSpring({ ...defaultSpring })).to.equal(progress);
+
+    // A 100px move is done once it's within half a pixel; a 20px one, sooner.
+    expect(getSpringDuration(settleSpring(progress, 0.005))).to.equal(571);
+    expect(getSpringDuration(settleSpring(progress, 0.025))).to.equal(427);
+    expect(settleSpring(progress, 0.025).pop()).to.equal(1);
+  });
+
+  describe('carrying over velocity', () => {
+    // A 100px move down, 100ms in.
+    const interrupted = {
+      progress: simulateSpring(defaultSpring, 0, 0.005),
+      delta: [0, 100],
+    };
+
+    it('keeps the speed in pixels, relative to the new distance', () => {
+      // 100ms in, the child is travelling at ~461px/s. The new move is 50px.
+      expect(carryOverVelocity(interrupted, 100, [0, 50])).to.be.closeTo(9.219, 0.001);
+    });
+
+    it('works against a move in the opposite direction', () => {
+      expect(carryOverVelocity(interrupted, 100, [0, -50])).to.be.closeTo(-9.219, 0.001);
+    });
+
+    it('has nothing to carry over to a perpendicular move', () => {
+      expect(carryOverVelocity(interrupted, 100, [50, 0])).to.equal(0);
+    });
+
+    it('has nothing to carry over once the spring is at rest', () => {
+      expect(carryOverVelocity(interrupted, 1000, [0, 50])).to.equal(0);
+    });
+  });
+
+  describe('with other timing props', () => {
+    const fixture = createContainerFixture();
+    let warnStub;
+
+    const renderList = (enterTiming) => {
+      ReactDOM.render(
+        <FlipMove timing={{ type: 'spring' }} enterTiming={enterTiming}>
+          <div key="a" flipMove={{ easing: 'ease-in' }}>a</div>
+        </FlipMove>,
+        fixture.container
+      );
+    };
+
+    beforeEach(() => {
+      warnStub = sinon.stub(console, 'warn');
+    });
+
+    afterEach(() => {
+      warnStub.restore();
+    });
+
+    it('warns that their duration and easing are ignored', () => {
+      renderList({ duration: 100, delay: 50 });
+
+      expect(warnStub).to.have.been.calledOnce;
+      expect(warnStub.firstCall.args[0]).to.contain('enterTiming.duration, flipMove.easing');
+      expect(warnStub.firstCall.args[0]).to.not.contain('enterTiming.delay');
+    });
+
+    it('only warns again once the ignored props change', () => {
+      renderList({ duration: 100 });
+      renderList({ duration: 100 });
+
+      expect(warnStub).to.have.been.calledOnce;
+
+      renderList({ duration: 100, easing: 'ease' });
+
+      expect(warnStub).to.have.been.calledTwice;
+      expect(warnStub.secondCall.args[0]).to.contain('enterTiming.duration, enterTiming.easing');
+    });
+  });
+});